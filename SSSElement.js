@@ -0,0 +1,304 @@
+/**!
+ * SSSElement, the <sss-select> form-associated custom element of SSS (aka SimpleSearchableSelect)
+ *
+ * @version   v1.2.0
+ * @author    Chalda Pnuzig <chalda＠chalda.it>
+ * @copyright Chalda Pnuzig 2023
+ * {@link     https://github.com/chalda-pnuzig/SimpleSearchableSelect|GitHub}
+ * @license   ISC
+ */
+
+import {SSS} from './SimpleSearchableSelect.js';
+
+/**
+ * A form-associated custom element wrapping a <select> in an SSS instance.
+ * The <select> can be a child of the element, otherwise it is created from the child options.
+ * The 'multiple', 'required', 'placeholder' and 'disabled' attributes are reflected to the instance,
+ * and the selected values are submitted with the form under the name of the element.
+ * The element is not defined by importing the module: call SSSElement.define() to register it.
+ *
+ * @example
+ * // Usage:
+ * // import {SSSElement} from './SSSElement.js';
+ * // SSSElement.define();
+ * // <sss-select name="characters" placeholder="Search a character..." multiple>
+ * //     <option value="1">Luke Skywalker</option>
+ * //     <option value="2">Leia Organa</option>
+ * // </sss-select>
+ * document.querySelector('sss-select').options = {matcher : 'fuzzy'};
+ */
+export class SSSElement extends HTMLElement {
+
+	static formAssociated = true;
+
+	static observedAttributes = ['multiple', 'required', 'placeholder', 'name'];
+
+	/**
+	 * Registers the element under the given tag name, unless already defined.
+	 *
+	 * @param {string} [name='sss-select'] - The tag name of the element.
+	 * @returns {void}
+	 */
+	static define(name = 'sss-select') {
+		if (!customElements.get(name)) customElements.define(name, SSSElement);
+	}
+
+	/**
+	 * Options of the SSS instance, to set before the element is connected.
+	 *
+	 * @type {SSSOptions}
+	 */
+	options = {};
+
+	/**
+	 * @type {SSS|null}
+	 */
+	instance = null;
+
+	/**
+	 * @type {HTMLSelectElement|null}
+	 */
+	$select = null;
+
+	/**
+	 * @type {ElementInternals}
+	 * @private
+	 */
+	#internals = this.attachInternals();
+
+	/**
+	 * Name of the select element, removed while it is wrapped so that it is not submitted twice.
+	 *
+	 * @type {string|null}
+	 * @private
+	 */
+	#selectName = null;
+
+	/**
+	 * Updates the form value and the validity when the selection changes.
+	 *
+	 * @type {function}
+	 * @private
+	 */
+	#onChange = () => this.#update();
+
+	/**
+	 * Creates the SSS instance once the element is connected, and its children parsed.
+	 *
+	 * @returns {void}
+	 */
+	connectedCallback() {
+		if (document.readyState === 'loading') {
+			document.addEventListener('DOMContentLoaded', () => this.#connect(), {once : true});
+		} else {
+			this.#connect();
+		}
+	}
+
+	/**
+	 * Destroys the SSS instance when the element is disconnected.
+	 *
+	 * @returns {void}
+	 */
+	disconnectedCallback() {
+		if (!this.instance) return;
+
+		// Keep the selection, restored to the initial one by destroy(), in case the element is moved
+		const values = Object.keys(this.instance.getValues());
+		this.instance.destroy();
+		this.instance = null;
+		[...this.$select.options].forEach(o => o.selected = values.includes(o.value));
+
+		// Restore the name of the select element
+		this.$select.removeEventListener('change', this.#onChange);
+		if (this.#selectName !== null) this.$select.name = this.#selectName;
+		this.#selectName = null;
+	}
+
+	/**
+	 * Reflects the attributes of the element to the SSS instance.
+	 *
+	 * @param {string} name - The name of the attribute.
+	 * @param {string|null} oldValue - The previous value of the attribute.
+	 * @param {string|null} newValue - The new value of the attribute.
+	 * @returns {void}
+	 */
+	attributeChangedCallback(name, oldValue, newValue) {
+		if (!this.instance) return;
+
+		switch (name) {
+			case 'multiple':
+			case 'required':
+				// Apply the change at once, so that the validity is updated below
+				this.instance.setOptions({[name] : newValue !== null});
+				break;
+			case 'placeholder':
+				this.instance.setOptions({placeholder : newValue ?? undefined});
+				break;
+		}
+		this.#update();
+	}
+
+	/**
+	 * Disables the select element when the element or its fieldset is disabled.
+	 *
+	 * @param {boolean} disabled - If true, the element is disabled.
+	 * @returns {void}
+	 */
+	formDisabledCallback(disabled) {
+		if (this.$select) this.$select.disabled = disabled;
+	}
+
+	/**
+	 * Restores the initial selection when the form is reset.
+	 *
+	 * @returns {void}
+	 */
+	formResetCallback() {
+		if (this.instance) this.instance.resetValue().then(() => this.#update());
+	}
+
+	/**
+	 * Restores the selection saved by the browser, e.g. on back navigation or autofill.
+	 *
+	 * @param {FormData|string|null} state - The state passed to setFormValue().
+	 * @returns {void}
+	 */
+	formStateRestoreCallback(state) {
+		if (!this.instance) return;
+
+		const values = state instanceof FormData ? state.getAll('values') : [state].filter(v => v);
+		this.instance.setValue(this.instance.options.multiple ? values : (values[0] || ''), false).then(() => this.#update());
+	}
+
+	/**
+	 * The first selected value. Setting it selects the given value(s), without triggering a 'change' event.
+	 *
+	 * @type {string}
+	 */
+	get value() {
+		return this.$select ? this.$select.value : '';
+	}
+
+	set value(value) {
+		if (this.instance) this.instance.setValue(value, false).then(() => this.#update());
+	}
+
+	/**
+	 * @type {HTMLFormElement|null}
+	 */
+	get form() {
+		return this.#internals.form;
+	}
+
+	/**
+	 * @type {string}
+	 */
+	get name() {
+		return this.getAttribute('name') || '';
+	}
+
+	/**
+	 * @type {ValidityState}
+	 */
+	get validity() {
+		return this.#internals.validity;
+	}
+
+	/**
+	 * @type {string}
+	 */
+	get validationMessage() {
+		return this.#internals.validationMessage;
+	}
+
+	/**
+	 * @type {boolean}
+	 */
+	get willValidate() {
+		return this.#internals.willValidate;
+	}
+
+	/**
+	 * @returns {boolean} - True if the selection is valid, otherwise false and an 'invalid' event is fired.
+	 */
+	checkValidity() {
+		return this.#internals.checkValidity();
+	}
+
+	/**
+	 * @returns {boolean} - True if the selection is valid, otherwise false and the problem is reported to the user.
+	 */
+	reportValidity() {
+		return this.#internals.reportValidity();
+	}
+
+	/**
+	 * Creates the SSS instance, wrapping the child select element or a new one containing the child options.
+	 *
+	 * @private
+	 * @returns {void}
+	 */
+	#connect() {
+		if (this.instance || !this.isConnected) return;
+
+		// Use the child select element, or move the child options into a new one
+		this.$select = this.querySelector('select');
+		if (!this.$select) {
+			this.$select = document.createElement('select');
+			this.$select.append(...this.querySelectorAll(':scope > option, :scope > optgroup'));
+			this.append(this.$select);
+		}
+
+		// The element submits the values, under its own name or the one of the select element
+		if (this.$select.name) {
+			if (!this.hasAttribute('name')) this.setAttribute('name', this.$select.name);
+			this.#selectName = this.$select.name;
+			this.$select.removeAttribute('name');
+		}
+
+		// Reflect the attributes of the element before the select element is enhanced
+		if (this.hasAttribute('multiple')) this.$select.multiple = true;
+		if (this.hasAttribute('required')) this.$select.required = true;
+		this.$select.disabled = this.matches(':disabled');
+
+		const options = {...this.options};
+		if (this.hasAttribute('placeholder')) options.placeholder = this.getAttribute('placeholder');
+
+		// The select element has no name anymore: store the history under the name of the element
+		if (options.history && this.name && !(typeof options.history === 'object' && options.history.key)) {
+			options.history = {...(typeof options.history === 'object' ? options.history : {}), key : `SSS_history_${this.name}`};
+		}
+
+		this.instance = new SSS(this.$select, options);
+		this.$select.addEventListener('change', this.#onChange);
+		this.#update();
+	}
+
+	/**
+	 * Updates the form value and the validity of the element from the SSS instance.
+	 * The validity mirrors the one of the input, which is used as anchor to report it.
+	 *
+	 * @private
+	 * @returns {void}
+	 */
+	#update() {
+		if (!this.instance) return;
+
+		// The submitted values are named after the element, the state keeps them to be restored
+		const value = new FormData();
+		const state = new FormData();
+		Object.keys(this.instance.getValues()).forEach(v => {
+			if (this.name) value.append(this.name, v);
+			state.append('values', v);
+		});
+		this.#internals.setFormValue(value, state);
+
+		const input    = this.instance.$input;
+		const validity = {};
+		for (const key in input.validity) {
+			if (key !== 'valid' && input.validity[key]) validity[key] = true;
+		}
+		this.#internals.setValidity(validity, input.validationMessage, input);
+	}
+}
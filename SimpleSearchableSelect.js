@@ -47,13 +47,318 @@ export class SSS {
 	 */
 	$label;
 
+	/**
+	 * Labeled group of the selected values in multiple mode, laid out as a container if the selectionContainer option is set.
+	 *
+	 * @type {HTMLDivElement|HTMLSpanElement}
+	 */
+	$selection;
+
+	/**
+	 * Button restoring the last removed value, if the undo option is set.
+	 *
+	 * @type {HTMLButtonElement}
+	 */
+	$undo;
+
+	/**
+	 * Popup listing the suggestions, if the renderer option is 'listbox'.
+	 *
+	 * @type {HTMLUListElement}
+	 */
+	$listbox;
+
+	/**
+	 * Container of the bulk action buttons in multiple mode, if the bulkActions option is set.
+	 *
+	 * @type {HTMLDivElement}
+	 */
+	$actions;
+
+	/**
+	 * Polite live region announcing the changes to screen readers.
+	 *
+	 * @type {HTMLDivElement}
+	 */
+	$liveRegion = document.createElement('div');
+
+	/**
+	 * Hidden instructions describing how to remove a selected value.
+	 *
+	 * @type {HTMLSpanElement}
+	 */
+	$instructions = document.createElement('span');
+
+	/**
+	 * @typedef {function} MatcherFn
+	 * @param {string} query - The typed text, normalized.
+	 * @param {string} text - The label of the option, normalized.
+	 * @param {HTMLOptionElement} option - The option of the target element.
+	 * @returns {number} - The score of the option: 0 if it doesn't match, 1 if it fully matches.
+	 */
+
+	/**
+	 * Built-in matchers, usable by name in the `matcher` option.
+	 *
+	 * @type {Object.<string, MatcherFn>}
+	 */
+	static matchers = {
+		// The label is the query
+		exact    : (query, text) => query === text ? 1 : 0,
+		// The label starts with the query
+		prefix   : (query, text) => text.startsWith(query) ? query.length / text.length : 0,
+		// The label contains the query, the nearer to the start the better
+		contains : (query, text) => {
+			const index = text.indexOf(query);
+			return index === -1 ? 0 : query.length / (text.length + index);
+		},
+		// Each word of the query is the start of a word of the label
+		words    : (query, text) => {
+			if (query === text) return 1;
+			const words = text.split(/[\s\p{P}]+/u);
+			const match = query.split(' ').every(q => words.some(w => w.startsWith(q)));
+			return match ? Math.min(query.length / text.length, 0.99) : 0;
+		},
+		// The characters of the query appear in the label in the same order, the closer the better
+		fuzzy    : (query, text) => {
+			let start = -1;
+			let end   = -1;
+			for (const char of query) {
+				end = text.indexOf(char, end + 1);
+				if (end === -1) return 0;
+				if (start === -1) start = end;
+			}
+			return query.length / (text.length + start + (end - start + 1 - query.length));
+		},
+	};
+
+	/**
+	 * Default validation messages, used when not specified in the `validationMessages` option.
+	 * The {min}, {max} and {count} placeholders are replaced by the limits and the number of selected values.
+	 *
+	 * @type {Object.<string, string>}
+	 */
+	static validationMessages = {
+		minSelected : 'Please select at least {min} options.',
+		maxSelected : 'Please select at most {max} options.',
+	};
+
+	/**
+	 * Default messages for screen readers, used when not specified in the `a11yMessages` option.
+	 * The {label} and {count} placeholders are replaced by the label of the value and the number of results.
+	 *
+	 * @type {Object.<string, string>}
+	 */
+	static a11yMessages = {
+		selected     : '{label}, selected',
+		instructions : 'Press Backspace or Delete to remove, or swipe left.',
+		added        : '{label} added.',
+		removed      : '{label} removed.',
+		remove       : 'Remove {label}',
+		undo         : 'Undo',
+		restore      : 'Restore {label}',
+		results      : '{count} results available.',
+		noResults    : 'No results.',
+		cleared      : 'Selection cleared.',
+		loading      : 'Loading…',
+		selectAll    : 'Select all',
+		invert       : 'Invert selection',
+		clearAll     : 'Clear all',
+		bulk         : '{added} added, {removed} removed.',
+		selection    : 'Selected values',
+	};
+
+	/**
+	 * Registry of the SSS instances, indexed by their target element.
+	 *
+	 * @type {Map<HTMLSelectElement, SSS>}
+	 */
+	static instances = new Map();
+
+	/**
+	 * Observers of the roots passed to autoInit(), enhancing the selects inserted later.
+	 *
+	 * @type {Map<(Document|Element), MutationObserver>}
+	 * @private
+	 */
+	static #autoInitObservers = new Map();
+
+	/**
+	 * Options whose data attribute name differs from the option name.
+	 *
+	 * @type {Object.<string, string>}
+	 * @private
+	 */
+	static #dataAliases = {
+		minLength : 'minQueryLength',
+	};
+
+	/**
+	 * Returns the SSS instance associated with a select element.
+	 *
+	 * @param {HTMLSelectElement} target - The select element.
+	 * @returns {SSS|null} - The SSS instance, or null if the element is not enhanced.
+	 */
+	static getInstance(target) {
+		return SSS.instances.get(target) || null;
+	}
+
+	/**
+	 * Enhances every `select[data-sss]` inside the root, with the options parsed from its `data-sss-*` attributes,
+	 * and keeps enhancing the ones inserted later.
+	 * A select failing to be enhanced, e.g. with invalid JSON options, is skipped and the error logged.
+	 *
+	 * @example
+	 * // <select data-sss data-sss-placeholder="Search..." data-sss-min-length="2" data-sss-url="/search?q={query}"></select>
+	 * SSS.autoInit();
+	 *
+	 * @param {Document|Element} [root=document] - The element containing the selects.
+	 * @returns {SSS[]} - The SSS instances of the selects found.
+	 */
+	static autoInit(root = document) {
+		const enhance = el => {
+			const selects = el.matches && el.matches('select[data-sss]') ? [el] : [...el.querySelectorAll('select[data-sss]')];
+			return selects.map(select => {
+				if (SSS.getInstance(select)) return SSS.getInstance(select);
+
+				// A misconfigured select must not prevent the others from being enhanced
+				try {
+					return new SSS(select, SSS.#parseDataOptions(select));
+				} catch (e) {
+					console.error(e);
+					return null;
+				}
+			}).filter(instance => instance);
+		};
+
+		// Enhance the selects inserted later
+		if (!SSS.#autoInitObservers.has(root)) {
+			const observer = new MutationObserver(mutations => mutations.forEach(mutation => {
+				mutation.addedNodes.forEach(node => {
+					if (node.nodeType === Node.ELEMENT_NODE) enhance(node);
+				});
+			}));
+			observer.observe(root, {childList : true, subtree : true});
+			SSS.#autoInitObservers.set(root, observer);
+		}
+
+		return enhance(root);
+	}
+
+	/**
+	 * Parses the options of a select from its `data-sss-*` attributes.
+	 * The value of the `data-sss` attribute is parsed as JSON options if it is a JSON object, and ignored otherwise (e.g. `data-sss="on"`).
+	 * 'true' and 'false' are converted to booleans and numeric values to numbers; `data-sss-selected-style`
+	 * is a template where {label} is replaced by the label, and `data-sss-url` the URL of the remote data,
+	 * where {query} is replaced by the typed text (appended as the 'q' parameter if absent).
+	 *
+	 * @param {HTMLSelectElement} select - The select element.
+	 * @private
+	 * @returns {SSSOptions}
+	 */
+	static #parseDataOptions(select) {
+		const json  = (select.dataset.sss || '').trim();
+		let options = {};
+		if (json.startsWith('{')) {
+			try {
+				options = JSON.parse(json);
+			} catch (e) {
+				throw new Error(`SSS: Invalid JSON options in the data-sss attribute of "${select.name || select.id}"!`);
+			}
+		}
+
+		Object.keys(select.dataset).forEach(key => {
+			const match = key.match(/^sss([A-Z].*)$/);
+			if (!match) return;
+
+			let name  = match[1][0].toLowerCase() + match[1].slice(1);
+			let value = select.dataset[key];
+			name      = SSS.#dataAliases[name] || name;
+
+			if (value === '' || value === 'true') {
+				value = true;
+			} else if (value === 'false') {
+				value = false;
+			} else if (value.trim() !== '' && !isNaN(value)) {
+				value = Number(value);
+			}
+
+			if (name === 'selectedStyle') {
+				const template = String(value);
+				value          = label => template.replace(/\{label}/g, label);
+			} else if (name === 'url') {
+				const url = String(value);
+				name      = 'promiseData';
+				value     = (query, {signal}) => {
+					let href = url.replace(/\{query}/g, encodeURIComponent(query));
+					if (href === url) {
+						const search = new URL(url, document.baseURI);
+						search.searchParams.set('q', query);
+						href = search.href;
+					}
+					return fetch(href, {signal}).then(res => res.json());
+				};
+			}
+
+			options[name] = value;
+		});
+
+		return options;
+	}
+
+	/**
+	 * Normalizes a text for matching: lowercase, without diacritics and with collapsed whitespaces.
+	 *
+	 * @param {string} text - The text to normalize.
+	 * @returns {string} - The normalized text.
+	 */
+	static normalize(text) {
+		return String(text)
+			.normalize('NFD')
+			.replace(/[\u0300-\u036f]/g, '')
+			.toLowerCase()
+			.replace(/\s+/g, ' ')
+			.trim();
+	}
+
 	/**
 	 * @name PromiseCallback
 	 * @type function
 	 * @param string
-	 * @returns {Promise<Object.<string, string>>}
+	 * @param {PromiseDataContext}
+	 * @returns {Promise<(Object.<string, (string|PromiseDataItem)>|PromiseDataItem[])>}
 	 *
 	 * it should return a Promise resolving to an object with 'value' and 'text' properties.
+	 * The text can be replaced by a PromiseDataItem to specify the group, the keywords and the description of the option.
+	 * The Promise can also resolve to an array of PromiseDataItem, each one with its value.
+	 */
+
+	/**
+	 * @name ResolveValuesCallback
+	 * @type function
+	 * @param {string[]} values - The values whose label is unknown.
+	 * @returns {Promise<Object.<string, (string|PromiseDataItem)>>}
+	 *
+	 * it should return a Promise resolving to an object with the same format as the one of PromiseCallback.
+	 */
+
+	/**
+	 * @typedef {Object} PromiseDataContext
+	 * @property {AbortSignal}             signal   - Aborted when a newer search starts, can be passed to fetch().
+	 * @property {Object.<string, string>} [parent] - The values selected in the select set as dependsOn, if any.
+	 */
+
+	/**
+	 * @typedef {HTMLSelectElement|SSS|string} ParentSelect - A select element, its SSS instance or a selector matching it.
+	 */
+
+	/**
+	 * @typedef {Object} PromiseDataItem
+	 * @property {string}          text          - The text of the option.
+	 * @property {string}          [value]       - The value of the option, required when the items are returned in an array.
+	 * @property {string}          [group]       - The label of the optgroup the option belongs to.
+	 * @property {string|string[]} [keywords]    - Additional terms matching the option, e.g. an abbreviation or a reference.
+	 * @property {string}          [description] - Secondary text of the option, shown in the suggestions and searchable.
 	 */
 
 	/**
@@ -66,20 +371,86 @@ export class SSS {
 	 * @returns {string} - The customized text for the selected option.
 	 */
 
+	/**
+	 * @typedef {function} DuplicateLabelFn
+	 * @param {string} text - The text shared by several options.
+	 * @param {HTMLOptionElement} option - The option to label.
+	 * @param {number} index - The position of the option among the ones sharing the same text.
+	 * @returns {string} - The distinct label to show for the option.
+	 */
+
+	/**
+	 * @typedef {'exact'|'prefix'|'contains'|'words'|'fuzzy'} MatcherName
+	 */
+
+	/**
+	 * @typedef {function} ValidationMessageFn
+	 * @param {{min: number, max: number, count: number}} params - The limits and the number of selected values.
+	 * @returns {string} - The validation message.
+	 */
+
+	/**
+	 * @typedef {Object.<string, (string|ValidationMessageFn)>} ValidationMessages
+	 */
+
+	/**
+	 * @typedef {Object} HistoryOptions
+	 * @property {string}  [key]                  - Key of the stored history. Defaults to 'SSS_history_' followed by the name or the id of the select, required if it has neither.
+	 * @property {Storage} [storage=localStorage] - Storage adapter implementing getItem() and setItem(), e.g. sessionStorage.
+	 * @property {number}  [size=5]               - Number of recently selected values shown first.
+	 */
+
+	/**
+	 * @typedef {'selectAll'|'invert'|'clearAll'} BulkAction
+	 */
+
+	/**
+	 * @typedef {function} CreatableFn
+	 * @param {string} text - The typed text.
+	 * @returns {{value: string, text: string, group?: string, keywords?: (string|string[]), description?: string}|string|false} - The option to create, or false to reject the text.
+	 */
+
+	/**
+	 * @typedef {function} RenderSelectionFn
+	 * @param {string} value - The selected value.
+	 * @param {string} text - The label of the selected value.
+	 * @returns {Node|string} - The content of the chip. Clicking its elements with the `data-sss-remove` attribute removes the value.
+	 */
+
 	/**
 	 * Configuration options for the SSS (Smart Select System) instance.
 	 *
 	 * @typedef {Object} SSSOptions
-	 * @property {number}                [inputIntervalTimeout=200]     - Timeout in milliseconds for debouncing input events.
-	 * @property {string}                [idPrefix='SSS_']              - Prefix for generating unique element IDs.
-	 * @property {DOMInsertion}          [insertPosition='beforebegin'] - DOM insertion position for the input element.
-	 * @property {number}                [swipeOffset=50]               - Threshold for swipe gestures.
-	 * @property {number}                [swipeAnimationSpeed=200]      - Speed of swipe animation in milliseconds.
-	 * @property {PromiseCallback|false} [promiseData=false]            - Asynchronous data fetching function or false if not used.
-	 * @property {false|SelectedStyleFn} [selectedStyle=false]          - If a function is provided, it will be invoked with the reference value of the selected option. If set to `false`, selected options will be disabled.
-	 * @property {boolean}               [multiple=undefined]           - Indicates whether multiple selections are allowed. Defaults to the value of the select element.
-	 * @property {boolean}               [required=undefined]           - Indicates whether the input is required. Defaults to the value of the select element.
-	 * @property {string}                [placeholder=undefined]        - Indicates the placeholder to show. Defaults to the value is derived from the option in the select element with an empty string ('') as its value
+	 * @property {number}                      [inputIntervalTimeout=200]     - Timeout in milliseconds for debouncing input events.
+	 * @property {string}                      [idPrefix='SSS_']              - Prefix for generating unique element IDs.
+	 * @property {DOMInsertion}                [insertPosition='beforebegin'] - DOM insertion position for the input element.
+	 * @property {number}                      [swipeOffset=50]               - Threshold for swipe gestures.
+	 * @property {number}                      [swipeAnimationSpeed=200]      - Speed of swipe animation in milliseconds.
+	 * @property {PromiseCallback|false}       [promiseData=false]            - Asynchronous data fetching function or false if not used.
+	 * @property {false|SelectedStyleFn}       [selectedStyle=false]          - If a function is provided, it will be invoked with the reference value of the selected option. If set to `false`, selected options will be disabled.
+	 * @property {false|DuplicateLabelFn}      [duplicateLabel=false]         - If a function is provided, it will be invoked to label the options sharing the same text. If set to `false`, the group or the position is appended to the text.
+	 * @property {MatcherName|MatcherFn}       [matcher='contains']           - The built-in matcher or the function used to score the options against the typed text.
+	 * @property {number}                      [minQueryLength=0]             - Minimum length of the typed text to call promiseData.
+	 * @property {number}                      [cacheTTL=0]                   - Time in milliseconds the results of promiseData are cached for each query. If set to 0, results are not cached.
+	 * @property {boolean}                     [replaceResults=false]         - If true, the options loaded by a query replace the ones loaded by the previous queries, except the selected ones.
+	 * @property {ResolveValuesCallback|false} [resolveValues=false]          - Asynchronous function resolving the labels of the values set but unknown, or false if not used.
+	 * @property {boolean|CreatableFn}         [creatable=false]              - If true, the typed text not matching any option creates a new option. If a function is provided, it validates and transforms the text into the option to create.
+	 * @property {number}                      [minSelected=0]                - Minimum number of selected values in multiple mode. If set to 0, there is no minimum.
+	 * @property {number|false}                [maxSelected=false]            - Maximum number of selected values in multiple mode. If set to false, there is no maximum.
+	 * @property {ValidationMessages}          [validationMessages={}]        - Custom validation messages ('minSelected', 'maxSelected'), overriding SSS.validationMessages.
+	 * @property {Object.<string, string>}     [a11yMessages={}]              - Custom messages for screen readers, overriding SSS.a11yMessages.
+	 * @property {boolean|RenderSelectionFn}   [renderSelection=false]        - If true, the selected values are shown as chips with a remove button. If a function is provided, it renders the content of the chips. If set to `false`, they are shown as read-only copies of the input.
+	 * @property {boolean}                     [selectionContainer=false]     - If true, the selected values are grouped in a container (`$selection`) before the input.
+	 * @property {number|false}                [maxSuggestions=false]         - Maximum number of suggestions rendered in the datalist: the options best matching the typed text. If set to false, all the options are rendered.
+	 * @property {string[]|false}              [separators=false]             - In multiple mode, the separators splitting the pasted or typed text into values, e.g. [',', ';', '\n']. If set to false, the text is not split.
+	 * @property {boolean|BulkAction[]}        [bulkActions=false]            - In multiple mode, if true, buttons selecting all the options matching the typed text, inverting the selection and clearing it are shown after the input. An array specifies the actions to show.
+	 * @property {'datalist'|'listbox'}        [renderer='datalist']          - How the suggestions are shown: in the native datalist of the input, or in an accessible popup (`$listbox`) highlighting the matches, to be styled with CSS.
+	 * @property {boolean|HistoryOptions}      [history=false]                - If set, the recently selected values and the pinned ones are stored and suggested first when the input is empty.
+	 * @property {ParentSelect|false}          [dependsOn=false]              - The select, the SSS instance or the selector of the select this one depends on: the selection is cleared when its value changes, and the input is disabled while it is empty. If set to false, the select is independent.
+	 * @property {boolean|number}              [undo=false]                   - If set, the changes of the selection are recorded for undo() and redo(), and an undo button is shown for the given time in milliseconds (5000 if true) after a value is removed. If set to 0, the button is not shown.
+	 * @property {boolean}                     [multiple=undefined]           - Indicates whether multiple selections are allowed. Defaults to the value of the select element.
+	 * @property {boolean}                     [required=undefined]           - Indicates whether the input is required. Defaults to the value of the select element.
+	 * @property {string}                      [placeholder=undefined]        - Indicates the placeholder to show. Defaults to the value is derived from the option in the select element with an empty string ('') as its value
 	 **/
 	options = {
 		inputIntervalTimeout : 200,
@@ -89,6 +460,26 @@ export class SSS {
 		swipeAnimationSpeed  : 200,
 		promiseData          : false,
 		selectedStyle        : false,
+		duplicateLabel       : false,
+		matcher              : 'contains',
+		minQueryLength       : 0,
+		cacheTTL             : 0,
+		replaceResults       : false,
+		resolveValues        : false,
+		creatable            : false,
+		minSelected          : 0,
+		maxSelected          : false,
+		validationMessages   : {},
+		a11yMessages         : {},
+		renderSelection      : false,
+		selectionContainer   : false,
+		undo                 : false,
+		maxSuggestions       : false,
+		separators           : false,
+		dependsOn            : false,
+		history              : false,
+		renderer             : 'datalist',
+		bulkActions          : false,
 		multiple             : undefined, // Note: multiple and required are intentionally left undefined here
 		required             : undefined, // to indicate they will use the values from the input element,
 		placeholder          : undefined, // and placeholder is taken from the option in the select with an empty string ('') if present.
@@ -101,125 +492,386 @@ export class SSS {
 	#values = {};
 
 	/**
-	 * @type {Object.<string, string>}
+	 * Unique labels of the options, indexed by value.
+	 *
+	 * @type {Map<string, string>}
 	 * @private
 	 */
-	#refs = {};
+	#refs = new Map();
 
 	/**
-	 * @type {Object.<string, HTMLInputElement>}
+	 * Values of the options, indexed by their unique label.
+	 *
+	 * @type {Map<string, string>}
 	 * @private
 	 */
-	#clones = {};
+	#labels = new Map();
 
 	/**
-	 * @type {Object.<string, HTMLOptionElement>}
+	 * Normalized labels, group labels, keywords and descriptions of the options, indexed by value, computed when first matched.
+	 *
+	 * @type {Map<string, {label: string, group: string, keywords: string[], description: string}>}
 	 * @private
 	 */
-
-	#validValues = {};
+	#normalized = new Map();
 
 	/**
-	 * @type {Object.<string, HTMLOptionElement>}
+	 * Clones of the selected values in multiple mode, indexed by value in their order.
+	 *
+	 * @type {Map<string, (HTMLInputElement|HTMLSpanElement)>}
 	 * @private
 	 */
-	#datalistOptions = {};
+	#clones = new Map();
 
 	/**
-	 * Initializes a new instance of the SSS class, associating it with a target element and providing optional configuration options.
-	 * If the target element already has an SSS instance, returns the existing instance.
+	 * Options of the target element, indexed by value.
 	 *
-	 * @param {HTMLSelectElement} target - The target select element to associate with the SSS instance.
-	 * @param {SSSOptions} options - Optional configuration options for the SSS instance.
-	 * @returns {SSS} - The SSS instance associated with the target element.
+	 * @type {Map<string, HTMLOptionElement>}
+	 * @private
 	 */
+	#validValues = new Map();
 
-	constructor(target, options = {}) {
-		if (!target) throw new Error(`SSS: Target select not found!`)
-		if (target.hasOwnProperty('SSS')) return target.SSS;
-		this.$target          = target;
-		this.$target["SSS"]   = this;
-		this.options.multiple = target.multiple;
-		this.options.required = target.required;
-		this.options          = {
-			...this.options,
-			...options
-		};
-		this.#init();
-		return this;
-	}
+	/**
+	 * Entries of the datalist, indexed by value.
+	 *
+	 * @type {Map<string, HTMLOptionElement>}
+	 * @private
+	 */
+	#datalistOptions = new Map();
 
 	/**
-	 * Adds a value to the SSS instance for multiple selections, creating a visual clone.
+	 * Entries of the datalist, in the order last rendered by #renderSuggestions().
 	 *
-	 * @param {string} value - The value to add.
-	 * @param {boolean} [fireChange=true] - If true, triggers a 'change' event on the target element.
-	 * @returns {void}
+	 * @type {HTMLOptionElement[]}
+	 * @private
 	 */
-	#addMultipleValue(value, fireChange = true) {
-		// If a clone for the value already exists, focus on it and reset the input value
-		if (typeof this.#clones[value] !== 'undefined') {
-			this.#clones[value].focus();
-			this.$input.value = '';
-			return;
-		}
+	#rendered = [];
 
-		// If the value is falsy, exit early
-		if (!value) return;
+	/**
+	 * Labels of the optgroups of the options, indexed by value.
+	 *
+	 * @type {Map<string, string>}
+	 * @private
+	 */
+	#groups = new Map();
 
-		// Set the value reference
-		this.#values[value] = this.#refs[value];
+	/**
+	 * Keywords and descriptions of the options, from their `data-sss-keywords` and `data-sss-description` attributes, indexed by value.
+	 *
+	 * @type {Map<string, {keywords: string, description: string}>}
+	 * @private
+	 */
+	#details = new Map();
 
-		// Create a clone of the input element
-		const clone     = this.$input.cloneNode(true);
-		let touchStartX = 0;
-		let touchEndX   = 0;
+	/**
+	 * Texts of the options, as last seen by #disambiguate(), indexed by value.
+	 *
+	 * @type {Map<string, string>}
+	 * @private
+	 */
+	#texts = new Map();
 
-		// Event listener for touchstart to capture starting touch position
-		clone.addEventListener('touchstart', e => touchStartX = e.changedTouches[0].screenX);
+	/**
+	 * Values of the options in the order of the target element.
+	 *
+	 * @type {string[]}
+	 * @private
+	 */
+	#order = [];
 
-		// Styling and class for the clone
-		clone.classList.add('SSS_clone');
-		clone.style.setProperty('--SSS-x', '0');
-		clone.style.setProperty('--SSS-s', `${this.options.swipeAnimationSpeed}ms`);
+	/**
+	 * Height of the clones, computed once per setValue().
+	 *
+	 * @type {string|null}
+	 * @private
+	 */
+	#cloneHeight = null;
 
-		// Set height for the clone if not already set
-		clone.style.height ||= window.getComputedStyle(this.$input).height;
+	/**
+	 * Keeps the SSS instance in sync when the target element is mutated.
+	 *
+	 * @type {MutationObserver}
+	 * @private
+	 */
+	#observer = new MutationObserver(records => this.#onMutations(records));
 
-		// Custom function to delete the clone
-		clone.SSSDelete = () => {
-			// Animation and removal logic
-			clone.style.setProperty('--SSS-x', '0');
-			clone.style.height     = clone.style.padding = clone.style.border = clone.style.fontSize = clone.style.opacity = '0';
-			clone.style.transition = 'all var(--SSS-s)';
+	/**
+	 * Keeps the selection in sync when the target element changes.
+	 *
+	 * @type {function}
+	 * @private
+	 */
+	#onTargetChange = () => this.#syncSelection();
 
-			setTimeout(() => {
-				clone.remove();
-				this.#validValues[this.#refs[value]].selected = false;
-				delete this.#values[value];
-				delete this.#clones[value];
+	/**
+	 * Controller of the pending promiseData request, if any.
+	 *
+	 * @type {AbortController|null}
+	 * @private
+	 */
+	#abortController = null;
 
-				// Update input's 'required' attribute if needed
-				if (this.options.required) {
-					this.$input.required = Object.keys(this.#clones).length === 0;
-				}
+	/**
+	 * Results of promiseData, indexed by query.
+	 *
+	 * @type {Map<string, {time: number, data: Object}>}
+	 * @private
+	 */
+	#cache = new Map();
 
-				// Restores the option to an enabled state by setting the 'disabled' property to false.
-				this.#datalistOptions[value].disabled = false;
+	/**
+	 * Values of the options loaded by promiseData.
+	 *
+	 * @type {Set<string>}
+	 * @private
+	 */
+	#loaded = new Set();
 
-				// resets the option text to its original value.
-				this.#datalistOptions[value].text = this.#datalistOptions[value].dataset.original;
+	/**
+	 * Whether the maximum number of selected values is reached.
+	 *
+	 * @type {boolean}
+	 * @private
+	 */
+	#maxReached = false;
 
-				// Trigger 'change' event if specified
-				if (fireChange) this.$target.dispatchEvent(new Event('change'));
-			}, this.options.swipeAnimationSpeed);
-		}
+	/**
+	 * Counter used to give a unique id to each clone.
+	 *
+	 * @type {number}
+	 * @private
+	 */
+	#cloneCounter = 0;
 
-		// Styling for the clone's transform property
-		clone.style.transform += ' translateX(var(--SSS-x))';
+	/**
+	 * Values selected when the instance was created, restored by resetValue().
+	 *
+	 * @type {string[]}
+	 * @private
+	 */
+	#initialValues = [];
+
+	/**
+	 * Restores the initial selection once the form has been reset.
+	 *
+	 * @type {function}
+	 * @private
+	 */
+	#onFormReset = () => this.#delay(() => this.resetValue());
+
+	/**
+	 * Aborted on destroy, removing the event listeners of the input element.
+	 *
+	 * @type {AbortController}
+	 * @private
+	 */
+	#listeners = new AbortController();
+
+	/**
+	 * Aborted when the dependsOn option changes or on destroy, removing the event listener of the parent select.
+	 *
+	 * @type {AbortController|null}
+	 * @private
+	 */
+	#dependency = null;
+
+	/**
+	 * Values of the parent select when last checked, so that the selection is cleared only when they change.
+	 *
+	 * @type {string}
+	 * @private
+	 */
+	#parentKey = '';
+
+	/**
+	 * Pending timeouts, cleared on destroy.
+	 *
+	 * @type {Set<number>}
+	 * @private
+	 */
+	#timers = new Set();
+
+	/**
+	 * Timeout debouncing the input events.
+	 *
+	 * @type {number}
+	 * @private
+	 */
+	#inputTimeout;
+
+	/**
+	 * Selected values after each change, if the undo option is set.
+	 *
+	 * @type {string[][]}
+	 * @private
+	 */
+	#history = [];
+
+	/**
+	 * Position of the current selection in the history.
+	 *
+	 * @type {number}
+	 * @private
+	 */
+	#historyIndex = -1;
+
+	/**
+	 * Whether the selection is being restored from the history.
+	 *
+	 * @type {boolean}
+	 * @private
+	 */
+	#restoring = false;
+
+	/**
+	 * Timeout hiding the undo button.
+	 *
+	 * @type {number}
+	 * @private
+	 */
+	#undoTimeout;
+
+	/**
+	 * Values selected recently, the most recent first, and pinned values, if the history option is set.
+	 *
+	 * @type {{recent: string[], pinned: string[]}}
+	 * @private
+	 */
+	#favorites = {recent : [], pinned : []};
+
+	/**
+	 * Value of the active suggestion of the listbox, navigated with the arrow keys.
+	 *
+	 * @type {string|null}
+	 * @private
+	 */
+	#active = null;
+
+	/**
+	 * Initializes a new instance of the SSS class, associating it with a target element and providing optional configuration options.
+	 * If the target element already has an SSS instance, returns the existing instance.
+	 * The instance is registered in SSS.instances, and is also available as the `SSS` property of the target element.
+	 *
+	 * @param {HTMLSelectElement} target - The target select element to associate with the SSS instance.
+	 * @param {SSSOptions} options - Optional configuration options for the SSS instance.
+	 * @returns {SSS} - The SSS instance associated with the target element.
+	 */
+
+	constructor(target, options = {}) {
+		if (!target) throw new Error(`SSS: Target select not found!`)
+		if (SSS.instances.has(target)) return SSS.instances.get(target);
+		this.$target          = target;
+		this.options.multiple = target.multiple;
+		this.options.required = target.required;
+		this.options          = {
+			...this.options,
+			...options
+		};
+		this.#init();
+
+		// Register the instance once initialized, so that a failing one can be created again
+		SSS.instances.set(target, this);
+		this.$target["SSS"] = this;
+		return this;
+	}
+
+	/**
+	 * Adds a value to the SSS instance for multiple selections, creating a visual clone.
+	 *
+	 * @param {string} value - The value to add.
+	 * @param {boolean} [fireChange=true] - If true, triggers a 'change' event on the target element.
+	 * @returns {void}
+	 */
+	#addMultipleValue(value, fireChange = true) {
+		// If a clone for the value already exists, focus on it and reset the input value
+		if (this.#clones.has(value)) {
+			this.#clones.get(value).focus();
+			this.$input.value = '';
+			return;
+		}
+
+		// If the value is falsy, exit early
+		if (!value) return;
+
+		// Block the selection when the maximum number of selected values is reached
+		if (this.options.maxSelected && this.#clones.size >= this.options.maxSelected) {
+			this.$input.value = '';
+			return;
+		}
+
+		// Let the listeners veto the selection
+		if (!this.#dispatch('add', {value, label : this.#refs.get(value)}, true)) {
+			this.$input.value = '';
+			return;
+		}
+
+		// Set the value reference
+		this.#values[value] = this.#refs.get(value);
+
+		// Create the element showing the selected value: a clone of the input element or a chip
+		const clone     = this.#renderClone(value);
+		let touchStartX = 0;
+		let touchEndX   = 0;
+
+		// Event listener for touchstart to capture starting touch position
+		clone.addEventListener('touchstart', e => touchStartX = e.changedTouches[0].screenX);
+
+		// Styling and class for the clone
+		clone.classList.add('SSS_clone');
+
+		// Unique id, and a label with the removal instructions for screen readers
+		clone.id = `${this.options.idPrefix}_clone${++this.#cloneCounter}`;
+		clone.setAttribute('aria-label', this.#a11yMessage('selected', {label : this.#refs.get(value)}));
+		clone.setAttribute('aria-describedby', this.$instructions.id);
+		clone.style.setProperty('--SSS-x', '0');
+		clone.style.setProperty('--SSS-s', `${this.options.swipeAnimationSpeed}ms`);
+
+		// Custom function to delete the clone, recording the removal in the history unless specified
+		clone.SSSDelete = (fireChange = true, record = true) => {
+			// Let the listeners veto the removal
+			if (!this.#dispatch('remove', {value, label : this.#refs.get(value)}, true)) {
+				clone.style.setProperty('--SSS-x', '0');
+				return;
+			}
+
+			// Move the focus to the next clone, or the previous one, or the input
+			if (clone.contains(document.activeElement)) {
+				const clones = this.#getClones();
+				const index  = clones.indexOf(clone);
+				(clones[index + 1] || clones[index - 1] || this.$input).focus();
+			}
+			clone.SSSDeleting = true;
+
+			// Animation and removal logic
+			clone.style.setProperty('--SSS-x', '0');
+			clone.style.height     = clone.style.padding = clone.style.border = clone.style.fontSize = clone.style.opacity = '0';
+			clone.style.transition = 'all var(--SSS-s)';
+
+			this.#delay(() => {
+				// Exit if the clone has already been removed in the meantime
+				if (this.#clones.get(value) !== clone) return;
+
+				this.#removeMultipleValue(value);
+				this.#announce('removed', {label : this.#refs.get(value)});
+				if (this.$listbox) this.#renderSuggestions();
+
+				// Keep the removal reversible
+				if (record) {
+					this.#record();
+					this.#showUndo(value);
+				}
+
+				// Trigger 'change' event if specified
+				if (fireChange) this.$target.dispatchEvent(new Event('change'));
+			}, this.options.swipeAnimationSpeed);
+		}
+
+		// Styling for the clone's transform property
+		clone.style.transform += ' translateX(var(--SSS-x))';
 
 		// Event listeners for touchend and touchmove to handle swipe deletion
 		clone.addEventListener('touchend', e => {
+			if (this.#isLocked()) return;
 			touchEndX = e.changedTouches[0].screenX;
 			if (touchStartX - touchEndX >= this.options.swipeOffset) {
 				if (touchEndX < touchStartX) {
@@ -230,186 +882,2136 @@ export class SSS {
 			}
 		});
 		clone.addEventListener('touchmove', e => {
+			if (this.#isLocked()) return;
 			touchEndX   = e.changedTouches[0].screenX;
 			const swipe = touchEndX < touchStartX ? -Math.min(touchStartX - touchEndX, this.options.swipeOffset) : 0;
 			clone.style.setProperty('--SSS-x', `${swipe}px`);
 		});
 
-		// Store the clone in the #clones object
-		this.#clones[value] = clone;
+		// Store the clone in the #clones map
+		this.#clones.set(value, clone);
+
+		// Event listener for click to handle the remove buttons of the chip, if any
+		clone.addEventListener('click', e => {
+			if (!this.#isLocked() && e.target.closest('[data-sss-remove]')) clone.SSSDelete();
+		});
+
+		// Event listener for keydown to handle backspace/delete key press and the navigation between clones
+		clone.addEventListener('keydown', (e) => {
+			const index = this.#getClones().indexOf(clone);
+			switch (e.key) {
+				case 'Backspace':
+				case 'Delete':
+					if (!this.#isLocked()) clone.SSSDelete();
+					break;
+				case 'ArrowLeft':
+					e.preventDefault();
+					this.#focusClone(Math.max(index - 1, 0));
+					break;
+				case 'ArrowRight':
+					e.preventDefault();
+					this.#focusClone(index + 1);
+					break;
+				case 'Home':
+					e.preventDefault();
+					this.#focusClone(0);
+					break;
+				case 'End':
+					e.preventDefault();
+					this.#focusClone(this.#getClones().length - 1);
+					break;
+				case 'Escape':
+					this.$input.focus();
+					break;
+			}
+		});
+
+		// Insert the clone at the end of the selected values, before the input element
+		this.$selection.append(clone);
+
+		// Reset the input value and update the validity
+		this.$input.value = '';
+		this.#updateValidity();
+
+		if (typeof this.options.selectedStyle === 'function') {
+			// Apply custom styling to the option text using the selectedStyle function.
+			this.#datalistOptions.get(value).text = this.options.selectedStyle(this.#refs.get(value)) + '⁣';
+		} else {
+			// Disable the option if selectedStyle is not a function.
+			this.#datalistOptions.get(value).disabled = true;
+		}
+
+		if (this.options.showPicker) this.#showPicker();
+
+		// Update selected status of the option
+		this.#validValues.get(value).selected = true;
+
+		this.#announce('added', {label : this.#refs.get(value)});
+
+		// Trigger 'change' event if specified
+		if (fireChange) this.$target.dispatchEvent(new Event('change'));
+	}
+
+	/**
+	 * Creates the element showing a selected value in multiple mode: a read-only clone of the input element by default,
+	 * or a focusable chip whose content is rendered by renderSelection if the option is set.
+	 *
+	 * @param {string} value - The selected value.
+	 * @private
+	 * @returns {HTMLInputElement|HTMLSpanElement}
+	 */
+	#renderClone(value) {
+		if (!this.options.renderSelection) {
+			const clone = this.$input.cloneNode(true);
+
+			// Without the loading state, the suggestions, the combobox role and the validity of the input
+			clone.classList.remove('SSS_loading', 'SSS_error');
+			['aria-busy', 'list', 'aria-invalid', 'role', 'aria-expanded', 'aria-controls', 'aria-autocomplete', 'aria-activedescendant']
+				.forEach(attr => clone.removeAttribute(attr));
+
+			// Set height for the clone if not already set, computing it once for all the values set
+			clone.style.height ||= (this.#cloneHeight ??= window.getComputedStyle(this.$input).height);
+			clone.readOnly     = true;
+			return clone;
+		}
+
+		const chip = document.createElement('span');
+		chip.classList.add('SSS_chip');
+		chip.setAttribute('role', 'group');
+		chip.append(this.#renderSelection(value, this.#refs.get(value)));
+		this.#lockClone(chip);
+		return chip;
+	}
+
+	/**
+	 * Renders the content of the chip of a selected value, with the renderSelection function if provided.
+	 * By default, the chip contains the label and a remove button.
+	 *
+	 * @param {string} value - The selected value.
+	 * @param {string} label - The label of the value.
+	 * @private
+	 * @returns {Node|string}
+	 */
+	#renderSelection(value, label) {
+		if (typeof this.options.renderSelection === 'function') return this.options.renderSelection(value, label);
+
+		const text       = document.createElement('span');
+		text.className   = 'SSS_chip_label';
+		text.textContent = label;
+
+		// The remove button is reachable with the mouse only, the chip handles the keyboard
+		const button             = document.createElement('button');
+		button.type              = 'button';
+		button.className         = 'SSS_chip_remove';
+		button.tabIndex          = -1;
+		button.textContent       = '×';
+		button.dataset.sssRemove = '';
+		button.setAttribute('aria-label', this.#a11yMessage('remove', {label}));
+
+		const fragment = document.createDocumentFragment();
+		fragment.append(text, button);
+		return fragment;
+	}
+
+	/**
+	 * Disables a clone when the input is disabled, and its remove buttons if it is a chip when the input is also read-only.
+	 *
+	 * @param {HTMLInputElement|HTMLSpanElement} clone - The clone.
+	 * @private
+	 * @returns {void}
+	 */
+	#lockClone(clone) {
+		const disabled = this.$input.disabled;
+		if (clone instanceof HTMLInputElement) {
+			clone.disabled = disabled;
+			return;
+		}
+		clone.tabIndex = disabled ? -1 : 0;
+		clone.setAttribute('aria-disabled', String(disabled));
+		clone.querySelectorAll('[data-sss-remove]').forEach(button => button.disabled = this.#isLocked());
+	}
+
+	/**
+	 * Whether the selection can't be changed by the user, because the input is disabled or read-only.
+	 *
+	 * @private
+	 * @returns {boolean}
+	 */
+	#isLocked() {
+		return this.$input.disabled || this.$input.readOnly;
+	}
+
+	/**
+	 * Returns the clones of the selected values in their order, excluding the ones being deleted.
+	 *
+	 * @private
+	 * @returns {HTMLInputElement[]}
+	 */
+	#getClones() {
+		return [...this.#clones.values()].filter(clone => !clone.SSSDeleting);
+	}
+
+	/**
+	 * Moves the focus to the clone at the given index, or to the input if the index is after the last clone.
+	 *
+	 * @param {number} index - The index of the clone.
+	 * @private
+	 * @returns {void}
+	 */
+	#focusClone(index) {
+		const clones = this.#getClones();
+		if (index >= clones.length) {
+			this.$input.focus();
+		} else if (clones[index]) {
+			clones[index].focus();
+		}
+	}
+
+	/**
+	 * Removes a value of a multiple selection immediately, without animation nor events.
+	 *
+	 * @param {string} value - The value to remove.
+	 * @private
+	 * @returns {void}
+	 */
+	#removeMultipleValue(value) {
+		const clone = this.#clones.get(value);
+		if (!clone) return;
+
+		clone.remove();
+		delete this.#values[value];
+		this.#clones.delete(value);
+		if (this.#validValues.get(value)) this.#validValues.get(value).selected = false;
+
+		// Update the validity of the input
+		this.#updateValidity();
+
+		// Restores the option to its enabled state and resets its text to the original value.
+		const dataListOption = this.#datalistOptions.get(value);
+		if (dataListOption) {
+			dataListOption.disabled = this.#validValues.get(value).disabled;
+			dataListOption.text     = dataListOption.dataset.original;
+		}
+	}
+
+	/**
+	 * Updates the validity of the input and the target element according to the number of selected values:
+	 * the 'required' attribute of the input (in multiple mode, it is required only while nothing is selected)
+	 * and the custom validity reporting the minSelected and maxSelected limits.
+	 * When the maximum is reached, the datalist entries of the other options are disabled.
+	 *
+	 * @private
+	 * @returns {void}
+	 */
+	#updateValidity() {
+		const multiple = !!this.options.multiple;
+		const count    = multiple ? this.#clones.size : (this.$target.value ? 1 : 0);
+		const {minSelected, maxSelected} = this.options;
+
+		this.$input.required = !!this.options.required && (!multiple || count === 0);
+
+		// Disable or restore the datalist entries when the maximum is reached or left
+		const maxReached = multiple && !!maxSelected && count >= maxSelected;
+		if (maxReached !== this.#maxReached) {
+			this.#maxReached = maxReached;
+			this.#validValues.forEach(o => this.#refreshOption(o));
+		}
+
+		// As for minlength, the minimum applies only when something is selected
+		let message = '';
+		if (multiple && minSelected && count && count < minSelected) {
+			message = this.#validationMessage('minSelected', count);
+		} else if (multiple && maxSelected && count > maxSelected) {
+			message = this.#validationMessage('maxSelected', count);
+		}
+		this.$input.setCustomValidity(message);
+		this.$target.setCustomValidity(message);
+
+		// Expose the validity to screen readers, unless the target element defines it
+		if (!this.$target.hasAttribute('aria-invalid')) {
+			if (message) {
+				this.$input.setAttribute('aria-invalid', 'true');
+			} else {
+				this.$input.removeAttribute('aria-invalid');
+			}
+		}
+	}
+
+	/**
+	 * Returns a validation message, replacing its {min}, {max} and {count} placeholders.
+	 *
+	 * @param {'minSelected'|'maxSelected'} name - The name of the message.
+	 * @param {number} count - The number of selected values.
+	 * @private
+	 * @returns {string}
+	 */
+	#validationMessage(name, count) {
+		const message = this.options.validationMessages[name] ?? SSS.validationMessages[name];
+		return SSS.#format(message, {min : this.options.minSelected, max : this.options.maxSelected, count});
+	}
+
+	/**
+	 * Returns a message for screen readers, replacing its placeholders.
+	 *
+	 * @param {string} name - The name of the message.
+	 * @param {Object} [params={}] - The values of the placeholders.
+	 * @private
+	 * @returns {string}
+	 */
+	#a11yMessage(name, params = {}) {
+		return SSS.#format(this.options.a11yMessages[name] ?? SSS.a11yMessages[name], params);
+	}
+
+	/**
+	 * Announces a message to screen readers through the live region.
+	 *
+	 * @param {string} name - The name of the message.
+	 * @param {Object} [params={}] - The values of the placeholders.
+	 * @private
+	 * @returns {void}
+	 */
+	#announce(name, params = {}) {
+		this.$liveRegion.textContent = this.#a11yMessage(name, params);
+	}
+
+	/**
+	 * Formats a message, replacing its {placeholders} with the given values.
+	 * If the message is a function, it is invoked with the values.
+	 *
+	 * @param {string|function} message - The message.
+	 * @param {Object} params - The values of the placeholders.
+	 * @private
+	 * @returns {string}
+	 */
+	static #format(message, params) {
+		if (typeof message === 'function') return message(params);
+		return message.replace(/\{(\w+)}/g, (match, key) => key in params ? params[key] : match);
+	}
+
+	/**
+	 * Switches the SSS instance between single and multiple selection, keeping the selected values.
+	 *
+	 * @param {boolean} multiple - If true, multiple selections are allowed.
+	 * @private
+	 * @returns {void}
+	 */
+	#setMultiple(multiple) {
+		if (multiple === this.options.multiple) return;
+
+		// Collect the selected values and remove the clones, if any
+		const values = this.options.multiple ? [...this.#clones.keys()] : [this.$target.value].filter(v => v);
+		[...this.#clones.keys()].forEach(v => this.#removeMultipleValue(v));
+
+		this.options.multiple = this.$input.multiple = this.$target.multiple = multiple;
+		this.#values          = {};
+		this.$input.value     = '';
+		this.#updateValidity();
+		if (this.$listbox) {
+			if (multiple) {
+				this.$listbox.setAttribute('aria-multiselectable', 'true');
+			} else {
+				this.$listbox.removeAttribute('aria-multiselectable');
+			}
+		}
+
+		// Restore the selected values, keeping only the first one in single mode
+		if (values.length) this.#setValues(multiple ? values : values[0], false, false);
+	}
+
+	/**
+	 * Sets the value of the SSS instance, updating the associated input and triggering a 'change' event if specified.
+	 * If the SSS instance is configured for multiple selections, it sets multiple values.
+	 * If some values are unknown and resolveValues is provided, their labels are resolved before setting them.
+	 *
+	 * @param {(string | string[])} value - The value(s) to set.
+	 * @param {boolean} [fireChange=true] - If true, triggers a 'change' event on the target element.
+	 * @returns {Promise<void>} - Resolved once the values are set.
+	 */
+	setValue(value, fireChange = true) {
+		return this.#setValues(value, fireChange, true);
+	}
+
+	/**
+	 * Sets the value of the SSS instance, storing the newly selected values in the history if specified.
+	 *
+	 * @param {(string | string[])} value - The value(s) to set.
+	 * @param {boolean} fireChange - If true, triggers a 'change' event on the target element.
+	 * @param {boolean} remember - If true, the newly selected values are stored in the history.
+	 * @private
+	 * @returns {Promise<void>} - Resolved once the values are set.
+	 */
+	#setValues(value, fireChange, remember) {
+		const values  = (this.options.multiple ? (Array.isArray(value) ? value : [value]) : [value]);
+		const unknown = values.filter(v => v && !this.#refs.get(v));
+
+		// Set the values immediately if their labels are known
+		if (!unknown.length || typeof this.options.resolveValues !== 'function') {
+			this.#applyValues(values, fireChange, remember);
+			return Promise.resolve();
+		}
+
+		// Resolve the labels of the unknown values first
+		return Promise.resolve()
+			.then(() => this.options.resolveValues(unknown))
+			.then(data => this.#addData(data), error => this.#dispatch('load-error', {values : unknown, error}))
+			.then(() => this.#applyValues(values, fireChange, remember));
+	}
+
+	/**
+	 * Sets the given values, skipping the unknown ones in multiple mode.
+	 *
+	 * @param {string[]} values - The values to set.
+	 * @param {boolean} fireChange - If true, triggers a 'change' event on the target element.
+	 * @param {boolean} [remember=false] - If true, the newly selected values are stored in the history.
+	 * @private
+	 * @returns {void}
+	 */
+	#applyValues(values, fireChange, remember = false) {
+		const previous = Object.keys(this.#values);
+
+		// Set each value once, in a single pass
+		[...new Set(values)].filter(v => !this.options.multiple || this.#validValues.has(v)).forEach(v => {
+			if (this.options.multiple) {
+				this.$input.value = this.#refs.get(v) || '';
+				this.#addMultipleValue(v, false);
+			} else {
+				// Let the listeners veto the change of the selected value
+				const current = this.$target.value;
+				if (v !== current) {
+					const allowed = v
+						? this.#dispatch('add', {value : v, label : this.#refs.get(v)}, true)
+						: this.#dispatch('remove', {value : current, label : this.#refs.get(current)}, true);
+					if (!allowed) {
+						this.$input.value = this.#refs.get(current) || '';
+						return;
+					}
+				}
+				this.$target.value = v;
+				this.#syncSingleValue();
+			}
+		});
+		this.#cloneHeight = null;
+		this.#updateValidity();
+		this.#record();
+		if (remember) this.#remember(Object.keys(this.#values).filter(v => !previous.includes(v)));
+
+		// Reflect the selected values in the open listbox
+		if (this.$listbox) this.#renderSuggestions();
+		if (fireChange) this.$target.dispatchEvent(new Event('change'));
+	}
+
+	/**
+	 * Selects all the options matching the query in multiple mode, or all the options if it is empty.
+	 * The vetoed values and the ones beyond maxSelected are skipped, and a single 'change' event is triggered.
+	 *
+	 * @param {string} [query=this.$input.value] - The text the options have to match.
+	 * @returns {string[]} - The values added to the selection.
+	 */
+	selectAll(query = this.$input.value) {
+		if (!this.options.multiple) return [];
+
+		const values = SSS.normalize(query) ? this.#match(query).map(m => m.value) : this.#getSelectable();
+		return this.#bulk(values.filter(v => !this.#clones.has(v)), []);
+	}
+
+	/**
+	 * Inverts the selection in multiple mode: the selected values are removed and the other options are selected.
+	 * The vetoed values and the ones beyond maxSelected are skipped, and a single 'change' event is triggered.
+	 *
+	 * @returns {string[]} - The values removed from the selection, then the values added.
+	 */
+	invertSelection() {
+		if (!this.options.multiple) return [];
+
+		return this.#bulk(this.#getSelectable().filter(v => !this.#clones.has(v)), [...this.#clones.keys()]);
+	}
+
+	/**
+	 * Clears the selection at once, without animation, triggering a single 'change' event.
+	 * The values vetoed by the 'sss:remove' listeners are kept.
+	 *
+	 * @returns {string[]} - The values removed from the selection.
+	 */
+	clearAll() {
+		if (this.options.multiple) return this.#bulk([], [...this.#clones.keys()]);
+
+		// In single mode, clear the selected value, unless vetoed
+		const current = this.$target.value;
+		if (!current) return [];
+		this.clearValue();
+		if (this.$target.value) return [];
+		this.$target.dispatchEvent(new Event('change'));
+		return [current];
+	}
+
+	/**
+	 * Returns the values of the selectable options, in the order of the target element.
+	 *
+	 * @private
+	 * @returns {string[]}
+	 */
+	#getSelectable() {
+		return this.#order.filter(value => this.#validValues.has(value) && this.#isSelectable(this.#validValues.get(value)));
+	}
+
+	/**
+	 * Removes and adds values in multiple mode as a single change: recorded once in the history, announced once,
+	 * and followed by a single 'change' event if something has changed.
+	 *
+	 * @param {string[]} add - The values to add.
+	 * @param {string[]} remove - The values to remove.
+	 * @private
+	 * @returns {string[]} - The values actually removed, then the values actually added.
+	 */
+	#bulk(add, remove) {
+		// Keep the focus in the component when the focused clone is removed
+		const focused = remove.some(value => this.#clones.has(value) && this.#clones.get(value).contains(document.activeElement));
+
+		// Remove the values, unless the listeners veto it
+		const removed = remove.filter(value => {
+			if (!this.#dispatch('remove', {value, label : this.#refs.get(value)}, true)) return false;
+			this.#removeMultipleValue(value);
+			return true;
+		});
+		if (focused) this.$input.focus();
+
+		// Add the values in a single pass, recording the whole change in the history
+		this.#applyValues(add, false, true);
+		const added = add.filter(value => this.#clones.has(value));
+
+		// Refresh the suggestions, e.g. the selected state in the listbox
+		this.#renderSuggestions();
+
+		if (removed.length || added.length) {
+			this.#announce('bulk', {added : added.length, removed : removed.length});
+			this.$target.dispatchEvent(new Event('change'));
+		}
+		return [...removed, ...added];
+	}
+
+	/**
+	 * Undoes the last change of the selection recorded in the history, if the undo option is set.
+	 * The selection is restored immediately and a 'change' event is triggered.
+	 *
+	 * @returns {boolean} - False if there is nothing to undo.
+	 */
+	undo() {
+		if (this.#historyIndex <= 0) return false;
+		this.#restore(this.#history[--this.#historyIndex]);
+		return true;
+	}
+
+	/**
+	 * Redoes the last change of the selection undone, if the undo option is set.
+	 * The selection is restored immediately and a 'change' event is triggered.
+	 *
+	 * @returns {boolean} - False if there is nothing to redo.
+	 */
+	redo() {
+		if (this.#historyIndex >= this.#history.length - 1) return false;
+		this.#restore(this.#history[++this.#historyIndex]);
+		return true;
+	}
+
+	/**
+	 * Pins a value, so that it is suggested first when the input is empty, if the history option is set.
+	 *
+	 * @param {string} value - The value to pin.
+	 * @param {boolean} [pinned=true] - If false, the value is unpinned.
+	 * @returns {void}
+	 */
+	pin(value, pinned = true) {
+		if (!this.options.history) return;
+
+		this.#favorites.pinned = this.#favorites.pinned.filter(v => v !== value);
+		if (pinned) this.#favorites.pinned.push(value);
+		this.#saveFavorites();
+	}
+
+	/**
+	 * Clears the recently selected values stored by the history option.
+	 *
+	 * @param {boolean} [pinned=false] - If true, the pinned values are cleared too.
+	 * @returns {void}
+	 */
+	clearHistory(pinned = false) {
+		this.#favorites.recent = [];
+		if (pinned) this.#favorites.pinned = [];
+		this.#saveFavorites();
+	}
+
+	/**
+	 * Returns the key, the storage and the size of the history, or null if the history option is not set.
+	 * The default key is derived from the name or the id of the target element, so that each select has its own history.
+	 *
+	 * @param {(boolean|HistoryOptions)} [history=this.options.history] - The history option.
+	 * @private
+	 * @returns {{key: string, storage: (Storage|undefined), size: number}|null}
+	 */
+	#historySettings(history = this.options.history) {
+		if (!history) return null;
+		const name     = this.$target.name || this.$target.id;
+		const settings = {
+			key     : name ? `SSS_history_${name}` : '',
+			storage : undefined,
+			size    : 5,
+			...(typeof history === 'object' ? history : {}),
+		};
+		if (!settings.key) throw new Error(`SSS: The history option requires a key when the select has no name nor id!`);
+		return settings;
+	}
+
+	/**
+	 * Reads the recently selected values and the pinned ones from the storage.
+	 * A missing, unavailable or corrupted storage is read as an empty history.
+	 *
+	 * @private
+	 * @returns {void}
+	 */
+	#loadFavorites() {
+		const settings  = this.#historySettings();
+		this.#favorites = {recent : [], pinned : []};
+		if (!settings) return;
+
+		try {
+			const storage = settings.storage || window.localStorage;
+			const stored  = JSON.parse(storage.getItem(settings.key) || '{}');
+			['recent', 'pinned'].forEach(list => {
+				if (Array.isArray(stored[list])) this.#favorites[list] = stored[list].map(String);
+			});
+		} catch (e) {
+			// Keep the empty history
+		}
+	}
+
+	/**
+	 * Writes the recently selected values and the pinned ones to the storage, and renders the suggestions.
+	 * The errors of the storage, e.g. when its quota is exceeded, are ignored.
+	 *
+	 * @private
+	 * @returns {void}
+	 */
+	#saveFavorites() {
+		const settings = this.#historySettings();
+		if (settings) {
+			try {
+				(settings.storage || window.localStorage).setItem(settings.key, JSON.stringify(this.#favorites));
+			} catch (e) {
+				// The history is kept in memory only
+			}
+		}
+		this.#renderSuggestions();
+	}
+
+	/**
+	 * Stores the selected values as the most recent ones of the history, if the history option is set.
+	 *
+	 * @param {string[]} values - The newly selected values.
+	 * @private
+	 * @returns {void}
+	 */
+	#remember(values) {
+		const settings = this.#historySettings();
+		if (!settings || !values.length) return;
+
+		const recent           = [...values.slice().reverse(), ...this.#favorites.recent].filter(v => v);
+		this.#favorites.recent = [...new Set(recent)].slice(0, settings.size);
+		this.#saveFavorites();
+	}
+
+	/**
+	 * Returns the values suggested first when the input is empty: the pinned ones, then the recently selected ones.
+	 *
+	 * @private
+	 * @returns {string[]}
+	 */
+	#getFavorites() {
+		if (!this.options.history) return [];
+		return [...new Set([...this.#favorites.pinned, ...this.#favorites.recent])]
+			.filter(value => this.#validValues.has(value) && this.#isSelectable(this.#validValues.get(value)));
+	}
+
+	/**
+	 * Records the selected values in the history, if the undo option is set and they have changed.
+	 * The changes undone are discarded.
+	 *
+	 * @private
+	 * @returns {void}
+	 */
+	#record() {
+		if (this.options.undo === false || this.#restoring) return;
+
+		const values = Object.keys(this.#values);
+		if (JSON.stringify(values) === JSON.stringify(this.#history[this.#historyIndex])) return;
+
+		this.#history.splice(this.#historyIndex + 1);
+		this.#history.push(values);
+		this.#historyIndex = this.#history.length - 1;
+
+		// The undo button would no longer undo the removal it shows
+		this.#hideUndo();
+	}
+
+	/**
+	 * Restores the selected values from the history, without recording the change.
+	 *
+	 * @param {string[]} values - The values to select.
+	 * @private
+	 * @returns {void}
+	 */
+	#restore(values) {
+		this.#restoring = true;
+		this.#hideUndo();
+
+		if (this.options.multiple) {
+			// Remove the values not selected, unless the listeners veto it, then add the missing ones
+			[...this.#clones.keys()].filter(v => !values.includes(v)).forEach(v => {
+				if (!this.#dispatch('remove', {value : v, label : this.#refs.get(v)}, true)) return;
+				this.#removeMultipleValue(v);
+				this.#announce('removed', {label : this.#refs.get(v)});
+			});
+			this.#applyValues(values.filter(v => !this.#clones.has(v)), false);
+		} else {
+			this.#applyValues([values[0] || ''], false);
+		}
+
+		this.#restoring = false;
+		this.$target.dispatchEvent(new Event('change'));
+	}
+
+	/**
+	 * Shows the undo button after a removal, for the time set in the undo option.
+	 *
+	 * @param {string} value - The removed value.
+	 * @private
+	 * @returns {void}
+	 */
+	#showUndo(value) {
+		if (!this.$undo) return;
+
+		this.$undo.setAttribute('aria-label', this.#a11yMessage('restore', {label : this.#refs.get(value)}));
+		this.$undo.hidden = false;
+
+		this.#cancel(this.#undoTimeout);
+		this.#undoTimeout = this.#delay(() => this.#hideUndo(), this.options.undo === true ? 5000 : this.options.undo);
+	}
+
+	/**
+	 * Hides the undo button.
+	 *
+	 * @private
+	 * @returns {void}
+	 */
+	#hideUndo() {
+		if (!this.$undo) return;
+
+		this.#cancel(this.#undoTimeout);
+		this.$undo.hidden = true;
+	}
+
+	/**
+	 * Clears the value(s) associated with the SSS instance, either for a single or multiple selection.
+	 * If the SSS instance is configured for multiple selections, it clears the specified values.
+	 * If the SSS instance is configured for a single selection, it clears the value.
+	 *
+	 * @param {(string | string[] | false)} value - The value(s) to clear. If false, clears all values.
+	 * @returns {void}
+	 */
+	clearValue(value = false) {
+		if (this.options.multiple) {
+			if (value === false) value = Object.keys(this.#values);
+			const valuesToClear = Array.isArray(value) ? value : [value];
+			valuesToClear.forEach(v => {
+				if (this.#clones.has(v)) this.#clones.get(v).SSSDelete(true, false);
+			});
+
+			// Record the removals at once, after the animation
+			this.#delay(() => this.#record(), this.options.swipeAnimationSpeed);
+		} else {
+			// Clear only if the current value is one of the values to clear
+			const current = this.$target.value;
+			if (value !== false && ![].concat(value).includes(current)) return;
+
+			// Let the listeners veto the removal
+			if (current && !this.#dispatch('remove', {value : current, label : this.#refs.get(current)}, true)) return;
+
+			this.$input.value  = '';
+			this.$target.value = '';
+			this.#values       = {};
+			this.#updateValidity();
+			this.#record();
+		}
+	}
+
+	/**
+	 * Destroys the SSS instance, restoring the target element to its original state, including the options selected when the instance was created.
+	 * Every event listener and timeout is removed, so that a new instance can be created for the target.
+	 * If the SSS instance is not attached to the target, the function exits early.
+	 * @returns {void}
+	 */
+	destroy() {
+		// Check if the instance is not registered for the target
+		if (SSS.instances.get(this.$target) !== this) return;
+
+		// Stop observing the target element, remove the listeners and the timeouts and abort the pending request
+		this.#observer.disconnect();
+		this.$target.removeEventListener('change', this.#onTargetChange);
+		if (this.$target.form) this.$target.form.removeEventListener('reset', this.#onFormReset);
+		this.#listeners.abort();
+		if (this.#dependency) this.#dependency.abort();
+		this.#timers.forEach(timer => clearTimeout(timer));
+		this.#timers.clear();
+		if (this.#abortController) this.#abortController.abort();
+
+		// Restore the visibility of the target element
+		this.$target.hidden = false;
+
+		// Remove the reference to this instance from the target object and the registry
+		delete this.$target["SSS"];
+		SSS.instances.delete(this.$target);
+
+		// Remove associated DOM elements
+		this.$dataList.remove();
+		if (this.$listbox) this.$listbox.remove();
+		this.$input.remove();
+		this.$liveRegion.remove();
+		this.$instructions.remove();
+
+		// Restore attributes on the target element
+		this.$target.required = this.$target.dataset.sssOriginalRequired === '1';
+		this.$target.multiple = this.$target.dataset.sssOriginalMultiple === '1';
+		delete this.$target.dataset.sssOriginalRequired;
+		delete this.$target.dataset.sssOriginalMultiple;
+		this.$target.setCustomValidity('');
+
+		// Restore the options selected when the instance was created
+		[...this.$target.options].forEach(o => o.selected = this.#initialValues.includes(o.value));
+
+		// Remove cloned elements if the 'multiple' option is enabled, their container and the undo button
+		if (this.options.multiple) this.#clones.forEach(el => el.remove());
+		this.$selection.remove();
+		if (this.$undo) this.$undo.remove();
+		if (this.$actions) this.$actions.remove();
+
+		// Restore the 'for' attribute of the label, if present
+		if (this.$label) {
+			this.$label.setAttribute('for', this.$label.dataset.sssOriginal)
+			delete this.$label.dataset.sssOriginal;
+		}
+
+		this.#dispatch('destroy');
+	}
+
+	/**
+	 * Updates the options of the SSS instance without recreating it.
+	 * The changes of placeholder, multiple, required, promiseData, selectedStyle, duplicateLabel, dependsOn, history, the limits and the messages are applied immediately,
+	 * the other options are read when used. idPrefix, insertPosition, selectionContainer, renderSelection, renderer, the bulk action buttons and the undo button are set at initialization only.
+	 *
+	 * @param {SSSOptions} options - The options to change.
+	 * @returns {void}
+	 */
+	setOptions(options) {
+		// Check the history key before applying the options
+		if ('history' in options) this.#historySettings(options.history);
+
+		const multiple = this.options.multiple;
+		this.options   = {
+			...this.options,
+			...options,
+			multiple,
+		};
+
+		// The multiple and required options are mirrored from the target element
+		if ('multiple' in options) this.$target.multiple = !!options.multiple;
+		if ('required' in options) this.$target.required = !!options.required;
+
+		// Drop the pending request and the results of the previous promiseData
+		if ('promiseData' in options) this.#resetLoad();
+
+		// Listen to the new parent select
+		if ('dependsOn' in options) this.#watchParent();
+
+		// Read the history from the new storage
+		if ('history' in options) {
+			this.#loadFavorites();
+			this.#renderSuggestions();
+		}
+
+		// Update the datalist entries of the selected values with the new selectedStyle
+		if ('selectedStyle' in options) {
+			[...this.#clones.keys()].forEach(value => {
+				const dataListOption = this.#datalistOptions.get(value);
+				dataListOption.text  = typeof this.options.selectedStyle === 'function'
+					? this.options.selectedStyle(this.#refs.get(value)) + '⁣'
+					: dataListOption.dataset.original;
+				this.#refreshOption(this.#validValues.get(value));
+			});
+		}
+
+		this.$instructions.textContent = this.#a11yMessage('instructions');
+		this.$selection.setAttribute('aria-label', this.#a11yMessage('selection'));
+
+		// Apply the placeholder and the labels, then the attributes and the limits
+		this.#syncOptions();
+		this.#syncAttributes();
+	}
+
+	/**
+	 * Resets the SSS instance, restoring the values selected when it was created and updating the options based on the target's options.
+	 * If the target is a select element with options, it populates the internal data list with valid values.
+	 * It is called when the form of the target element is reset.
+	 *
+	 * @returns {Promise<void>} - Resolved once the selected values are set.
+	 */
+	resetValue() {
+		// Clear current values immediately, without events
+		[...this.#clones.keys()].forEach(v => this.#removeMultipleValue(v));
+		this.$input.value = '';
+		this.#values      = {};
+		this.#deselectAll();
+
+		// Register the options of the target element, updating the ones already registered
+		this.#syncOptions();
+		this.#updateValidity();
+
+		// If there were selected options, set the values accordingly, resolving the unknown labels if needed
+		const selected = this.#initialValues;
+		if (!selected.length) {
+			this.#record();
+			return Promise.resolve();
+		}
+		return this.#setValues(this.options.multiple ? selected : selected[0], false, false);
+	}
+
+	/**
+	 * Deselects the options of the target element: in single mode, the option with no value is selected, if any,
+	 * while in multiple mode none is, so that the submitted data match getValues().
+	 *
+	 * @private
+	 * @returns {void}
+	 */
+	#deselectAll() {
+		if (this.options.multiple) {
+			this.$target.selectedIndex = -1;
+		} else {
+			this.$target.value = '';
+		}
+	}
+
+	/**
+	 * Synchronizes the internal data list with the options of the target element, including the ones inside an optgroup:
+	 * new options are registered, removed ones are unregistered and changed ones are updated.
+	 *
+	 * @private
+	 * @returns {void}
+	 */
+	#syncOptions() {
+		const options = [...this.$target.querySelectorAll('option')];
+
+		// Options with a value, indexed by value in their order (the first one wins)
+		const present = new Map();
+		options.forEach(o => {
+			if (o.value && !present.has(o.value)) present.set(o.value, o);
+		});
+
+		// Unregister the options no longer in the target element
+		[...this.#validValues.keys()]
+			.filter(value => present.get(value) !== this.#validValues.get(value))
+			.forEach(value => this.#unregisterOption(value));
+
+		// Register the new options and update the others
+		present.forEach(o => {
+			if (this.#validValues.has(o.value)) {
+				this.#refreshOption(o);
+			} else {
+				this.#registerOption(o);
+			}
+		});
+		this.#order = [...present.keys()];
+
+		// Give a distinct label to the options sharing the same text, and render the suggestions
+		this.#disambiguate();
+		this.#renderSuggestions();
+
+		// Set the input placeholder from the option with no value, unless a custom placeholder is specified in the options
+		const empty = options.filter(o => !o.value).pop();
+		if (this.options.placeholder) {
+			this.$input.placeholder = this.options.placeholder;
+		} else if (empty) {
+			this.$input.placeholder = empty.textContent;
+		} else if (this.$target.hasAttribute('placeholder')) {
+			this.$input.placeholder = this.$target.getAttribute('placeholder');
+		} else {
+			this.$input.removeAttribute('placeholder');
+		}
+	}
+
+	/**
+	 * Applies the mutations of the target element, updating only the options added, removed or changed.
+	 * The options SSS adds, moves or removes itself are already in sync and skipped.
+	 * Falls back to a full #syncOptions() when a value changes or an option without value is involved,
+	 * as the values may swap between options and the placeholder may change.
+	 *
+	 * @param {MutationRecord[]} records - The mutation records.
+	 * @private
+	 * @returns {void}
+	 */
+	#onMutations(records) {
+		const added    = new Set();
+		const removed  = new Set();
+		const changed  = new Set();
+		const options  = node => node instanceof HTMLOptionElement ? [node] : (node instanceof Element ? [...node.querySelectorAll('option')] : []);
+		let attributes = false;
+		let selection  = false;
+		let full       = false;
+
+		// Sort the options involved in the mutations
+		records.forEach(record => {
+			const target = record.type === 'characterData' ? record.target.parentElement : record.target;
+			if (!target) return;
+
+			if (target === this.$target && record.type === 'attributes') {
+				attributes = true;
+			} else if (target instanceof HTMLOptionElement) {
+				// Text or attribute of an option
+				if (record.attributeName === 'value') full = true;
+				if (record.attributeName === 'selected') selection = true;
+				changed.add(target);
+			} else if (record.type === 'attributes') {
+				// Label, disabled or hidden state of an optgroup
+				options(target).forEach(o => changed.add(o));
+			} else {
+				record.addedNodes.forEach(node => options(node).forEach(o => added.add(o)));
+				record.removedNodes.forEach(node => options(node).forEach(o => removed.add(o)));
+			}
+		});
+		if ([...added, ...removed, ...changed].some(o => !o.value)) full = true;
+
+		if (full) {
+			this.#syncOptions();
+		} else if (added.size || removed.size || changed.size) {
+			const touched = new Set();
+
+			// Unregister the options no longer in the target element, then register the options taking over their value, if any
+			const vacated = new Set();
+			let appended  = true;
+			removed.forEach(o => {
+				if (this.#validValues.get(o.value) !== o || this.$target.contains(o)) return;
+				this.#unregisterOption(o.value);
+				vacated.add(o.value);
+				touched.add(o.value);
+			});
+			if (vacated.size) {
+				[...this.$target.querySelectorAll('option')]
+					.filter(o => vacated.has(o.value) && !this.#validValues.has(o.value))
+					.forEach(o => {
+						this.#registerOption(o);
+						appended = false;
+					});
+				this.#order = this.#order.filter(value => this.#validValues.has(value));
+			}
+
+			// Register the new options, unless an option with the same value comes first; update the moved ones
+			added.forEach(o => {
+				if (!this.$target.contains(o)) return;
+				const registered = this.#validValues.get(o.value);
+				if (registered === o) {
+					if ((o.parentElement instanceof HTMLOptGroupElement ? o.parentElement.label : '') !== this.#groups.get(o.value)) changed.add(o);
+				} else if (registered) {
+					full = true;
+				} else {
+					this.#registerOption(o);
+					touched.add(o.value);
+					appended = appended && !this.#followingOption(o);
+				}
+			});
+			if (full) {
+				this.#syncOptions();
+				selection = true;
+			} else {
+				if (!appended) this.#order = [...new Set([...this.$target.querySelectorAll('option')].map(o => o.value).filter(value => this.#validValues.has(value)))];
+
+				// Update the changed options, whose text may have changed too
+				changed.forEach(o => {
+					if (this.#validValues.get(o.value) !== o) return;
+					this.#refreshOption(o);
+					touched.add(o.value);
+				});
+
+				// Give a distinct label to the options sharing the text of the touched ones, and render the suggestions
+				if (touched.size) {
+					this.#disambiguate([...touched]);
+					this.#renderSuggestions();
+				}
+			}
+			if (added.size || removed.size) selection = true;
+		}
+
+		if (attributes) this.#syncAttributes();
+		if (selection || attributes) this.#syncSelection();
+	}
+
+	/**
+	 * Whether an option of the target element is followed by another one, including inside the next optgroups.
+	 *
+	 * @param {HTMLOptionElement} option - The option of the target element.
+	 * @private
+	 * @returns {boolean}
+	 */
+	#followingOption(option) {
+		for (let node = option; node && node !== this.$target; node = node.parentElement) {
+			for (let sibling = node.nextElementSibling; sibling; sibling = sibling.nextElementSibling) {
+				if (sibling instanceof HTMLOptionElement || sibling.querySelector('option')) return true;
+			}
+		}
+		return false;
+	}
+
+	/**
+	 * Mirrors the 'multiple', 'required', 'disabled' and 'readonly' attributes of the target element.
+	 *
+	 * @private
+	 * @returns {void}
+	 */
+	#syncAttributes() {
+		this.#setMultiple(this.$target.multiple);
+
+		this.options.required = this.$target.required;
+		this.#updateValidity();
+
+		// Lock the input and the clones, without the undo button, also while the parent select is empty
+		this.$input.disabled = this.$target.disabled || this.#awaitsParent();
+		this.$input.readOnly = this.$target.hasAttribute('readonly');
+		this.#clones.forEach(clone => this.#lockClone(clone));
+		if (this.#isLocked()) this.#hideUndo();
+
+		// The bulk actions are available in multiple mode only
+		if (this.$actions) {
+			this.$actions.hidden = !this.options.multiple;
+			this.$actions.querySelectorAll('button').forEach(button => button.disabled = this.#isLocked());
+		}
+
+		// Propagate the accessibility attributes of the target element
+		['aria-describedby', 'aria-invalid'].forEach(attr => {
+			if (this.$target.hasAttribute(attr)) {
+				this.$input.setAttribute(attr, this.$target.getAttribute(attr));
+			} else {
+				this.$input.removeAttribute(attr);
+			}
+		});
+		this.#updateValidity();
+	}
+
+	/**
+	 * Reflects the options selected in the target element, e.g. when they are changed programmatically.
+	 *
+	 * @private
+	 * @returns {void}
+	 */
+	#syncSelection() {
+		if (this.options.multiple) {
+			const selected = [...this.$target.selectedOptions].map(o => o.value).filter(v => this.#validValues.get(v));
+
+			// Remove the values no longer selected, then add the newly selected ones
+			const removed = [...this.#clones.keys()].filter(v => !selected.includes(v));
+			const added   = selected.filter(v => !this.#clones.has(v));
+			removed.forEach(v => this.#removeMultipleValue(v));
+			if (added.length) {
+				this.setValue(added, false);
+			} else if (removed.length) {
+				this.#record();
+			}
+
+			// Deselect the values vetoed by the listeners
+			this.#validValues.forEach(o => o.selected = this.#clones.has(o.value));
+		} else {
+			// Don't override the text while the user is typing
+			this.#syncSingleValue(document.activeElement !== this.$input);
+			this.#record();
+		}
+	}
+
+	/**
+	 * In single mode, updates the values and the input from the value actually selected in the target element,
+	 * so that getValues() always matches the submitted data.
+	 *
+	 * @param {boolean} [updateInput=true] - If true, the input shows the label of the selected value.
+	 * @private
+	 * @returns {void}
+	 */
+	#syncSingleValue(updateInput = true) {
+		const value  = this.$target.value;
+		this.#values = value ? {[value] : this.#refs.get(value)} : {};
+		if (updateInput) this.$input.value = this.#refs.get(value) || '';
+	}
+
+	/**
+	 * Dispatches a namespaced CustomEvent (e.g. 'sss:add') on the target element.
+	 * The detail of the event always contains the SSS instance.
+	 *
+	 * @param {string} name - The name of the event, without the 'sss:' namespace.
+	 * @param {Object} [detail={}] - The detail of the event.
+	 * @param {boolean} [cancelable=false] - If true, the listeners can cancel the event with preventDefault().
+	 * @private
+	 * @returns {boolean} - False if the event has been canceled, true otherwise.
+	 */
+	#dispatch(name, detail = {}, cancelable = false) {
+		return this.$target.dispatchEvent(new CustomEvent(`sss:${name}`, {
+			detail : {...detail, instance : this},
+			cancelable,
+		}));
+	}
+
+	/**
+	 * Calls a function after a delay, unless the SSS instance is destroyed in the meantime.
+	 *
+	 * @param {function} callback - The function to call.
+	 * @param {number} [delay=0] - The delay in milliseconds.
+	 * @private
+	 * @returns {number} - The id of the timeout, to pass to #cancel().
+	 */
+	#delay(callback, delay = 0) {
+		const timer = setTimeout(() => {
+			this.#timers.delete(timer);
+			callback();
+		}, delay);
+		this.#timers.add(timer);
+		return timer;
+	}
+
+	/**
+	 * Cancels a timeout set with #delay().
+	 *
+	 * @param {number} timer - The id of the timeout.
+	 * @private
+	 * @returns {void}
+	 */
+	#cancel(timer) {
+		clearTimeout(timer);
+		this.#timers.delete(timer);
+	}
+
+	/**
+	 * Shows the picker of the input element, if supported by the browser, or the listbox, and dispatches an 'sss:open' event.
+	 *
+	 * @private
+	 * @returns {void}
+	 */
+	#showPicker() {
+		if (this.$listbox) {
+			this.#openListbox();
+			return;
+		}
+		try {
+			this.$input.showPicker();
+			this.#dispatch('open');
+		} catch (e) {
+		}
+	}
+
+	/**
+	 * Registers an option of the target element, creating the related datalist entry and updating the internal references.
+	 * If the option belongs to an optgroup, the group label is shown as secondary text in the datalist.
+	 *
+	 * @param {HTMLOptionElement} option - The option of the target element.
+	 * @private
+	 * @returns {void}
+	 */
+	#registerOption(option) {
+		const text  = option.textContent;
+		const value = option.value;
+
+		// Create a new Option element for the internal data list, rendered by #renderSuggestions()
+		let newOption = new Option(text);
+		newOption.dataset.original = text;
+
+		this.#datalistOptions.set(value, newOption);
+		this.#validValues.set(value, option);
+		this.#refs.set(value, text);
+		this.#order.push(value);
+
+		this.#refreshOption(option);
+	}
+
+	/**
+	 * Updates the datalist entry of a registered option with its group label and its description, and its disabled state.
+	 * The text is updated by #disambiguate().
+	 *
+	 * @param {HTMLOptionElement} option - The option of the target element.
+	 * @private
+	 * @returns {void}
+	 */
+	#refreshOption(option) {
+		const value          = option.value;
+		const group          = option.parentElement instanceof HTMLOptGroupElement ? option.parentElement.label : '';
+		const dataListOption = this.#datalistOptions.get(value);
+		const details        = {keywords : option.dataset.sssKeywords || '', description : option.dataset.sssDescription || ''};
+		const previous       = this.#details.get(value);
+
+		// Match the option again if its group, its keywords or its description have changed
+		if (group !== this.#groups.get(value) || !previous || previous.keywords !== details.keywords || previous.description !== details.description) {
+			this.#normalized.delete(value);
+		}
+		this.#groups.set(value, group);
+		this.#details.set(value, details);
+
+		// Show the group label and the description as secondary text
+		const label = [group, details.description].filter(text => text).join(' · ');
+		if (label) {
+			dataListOption.label = label;
+		} else {
+			dataListOption.removeAttribute('label');
+		}
+
+		// Selected options are disabled too, unless a selectedStyle function is provided,
+		// and the other ones when the maximum number of selected values is reached
+		const selected          = this.#clones.has(value);
+		dataListOption.disabled = option.disabled
+			|| (selected && typeof this.options.selectedStyle !== 'function')
+			|| (!selected && this.#maxReached);
+	}
+
+	/**
+	 * Whether an option can be selected by the user: it is not disabled, nor hidden, nor in a disabled optgroup.
+	 *
+	 * @param {HTMLOptionElement} option - The option of the target element.
+	 * @private
+	 * @returns {boolean}
+	 */
+	#isSelectable(option) {
+		const group = option.parentElement instanceof HTMLOptGroupElement ? option.parentElement : null;
+		return !option.disabled && !option.hidden && !(group && group.disabled);
+	}
+
+	/**
+	 * Unregisters a value, removing its datalist entry, its clone and the internal references.
+	 *
+	 * @param {string} value - The value to unregister.
+	 * @private
+	 * @returns {void}
+	 */
+	#unregisterOption(value) {
+		this.#removeMultipleValue(value);
+		this.#datalistOptions.get(value).remove();
+		this.#datalistOptions.delete(value);
+		this.#validValues.delete(value);
+		if (this.#labels.get(this.#refs.get(value)) === value) this.#labels.delete(this.#refs.get(value));
+		this.#refs.delete(value);
+		this.#groups.delete(value);
+		this.#details.delete(value);
+		this.#normalized.delete(value);
+		delete this.#values[value];
+	}
+
+	/**
+	 * Gives a distinct label to each option sharing the same text, so that the typed text always resolves to a single value.
+	 * By default the group label is appended when it differs between the options, otherwise their position.
+	 * Options with a unique text are labeled with the text itself.
+	 * If values are given, only the options sharing their current or previous text are labeled again.
+	 *
+	 * @param {string[]} [values] - The values whose option was added, removed or changed, all of them if omitted.
+	 * @private
+	 * @returns {void}
+	 */
+	#disambiguate(values = null) {
+		// Texts to label again, including the previous text of the values
+		let texts = null;
+		if (values) {
+			texts = new Set();
+			values.forEach(value => {
+				if (this.#texts.has(value)) texts.add(this.#texts.get(value));
+				if (this.#validValues.has(value)) {
+					this.#texts.set(value, this.#validValues.get(value).textContent);
+					texts.add(this.#texts.get(value));
+				} else {
+					this.#texts.delete(value);
+				}
+			});
+		} else {
+			this.#texts.clear();
+			this.#labels.clear();
+			this.#validValues.forEach((option, value) => this.#texts.set(value, option.textContent));
+		}
+
+		// Values indexed by the text of their option
+		const byText = new Map();
+		this.#texts.forEach((text, value) => {
+			if (texts && !texts.has(text)) return;
+			if (!this.#validValues.has(value)) {
+				this.#texts.delete(value);
+				return;
+			}
+			if (!byText.has(text)) byText.set(text, []);
+			byText.get(text).push(value);
+		});
+
+		byText.forEach((values, text) => {
+			// Number the options sharing the same text in the order of the target element
+			if (values.length > 1) {
+				values.sort((a, b) => this.#validValues.get(a).compareDocumentPosition(this.#validValues.get(b)) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1);
+			}
+			const groups    = values.map(v => this.#groups.get(v));
+			const useGroups = groups.every(g => g) && new Set(groups).size === groups.length;
+
+			values.forEach((value, index) => {
+				// Drop the previous label from the index
+				if (this.#labels.get(this.#refs.get(value)) === value) this.#labels.delete(this.#refs.get(value));
+
+				if (values.length === 1) {
+					this.#setLabel(value, text);
+				} else if (typeof this.options.duplicateLabel === 'function') {
+					this.#setLabel(value, this.options.duplicateLabel(text, this.#validValues.get(value), index));
+				} else {
+					this.#setLabel(value, `${text} (${useGroups ? groups[index] : index + 1})`);
+				}
+
+				// Index the value by its unique label
+				this.#labels.set(this.#refs.get(value), value);
+			});
+		});
+	}
+
+	/**
+	 * Renders the suggestions of the datalist in the order of the target element, without the options not selectable.
+	 * If maxSuggestions is set, only the options best matching the query are rendered, or the first ones if the query is empty.
+	 * If the history option is set, the pinned and the recently selected values come first, unless the best matches are rendered.
+	 * The datalist is replaced at once, and only if the suggestions have changed.
+	 * The listbox, filtered by the browser, renders the best matches and is rendered only while open.
+	 *
+	 * @param {string} [query=this.$input.value] - The typed text.
+	 * @private
+	 * @returns {void}
+	 */
+	#renderSuggestions(query = this.$input.value) {
+		const max = this.options.maxSuggestions;
+
+		// The listbox is rendered when opened, listing all the options while the input shows the selected one
+		if (this.$listbox) {
+			if (this.$listbox.hidden) return;
+			if (!this.options.multiple && query === this.#refs.get(this.$target.value)) query = '';
+		}
+
+		let values;
+		if ((max || this.$listbox) && SSS.normalize(query)) {
+			values = this.#match(query).map(m => m.value);
+			if (max) values = values.slice(0, max);
+		} else {
+			const favorites = this.#getFavorites();
+			values          = [...favorites, ...this.#getSelectable().filter(value => !favorites.includes(value))];
+			if (max) values = values.slice(0, max);
+		}
+
+		if (this.$listbox) {
+			this.#renderListbox(values, query);
+			return;
+		}
+
+		const suggestions = values.map(value => this.#datalistOptions.get(value));
+		const current     = this.#rendered;
+
+		// Keep the entries common to the start and the end of both lists, and replace only the ones in between
+		let start = 0;
+		while (start < suggestions.length && start < current.length && suggestions[start] === current[start]) start++;
+		let end = 0;
+		while (end < suggestions.length - start && end < current.length - start
+			&& suggestions[suggestions.length - 1 - end] === current[current.length - 1 - end]) end++;
+		if (start === current.length - end && start === suggestions.length - end) return;
+
+		current.slice(start, current.length - end).forEach(o => o.remove());
+		const fragment = document.createDocumentFragment();
+		suggestions.slice(start, suggestions.length - end).forEach(o => fragment.appendChild(o));
+		this.$dataList.insertBefore(fragment, current[current.length - end] || null);
+		this.#rendered = suggestions;
+	}
+
+	/**
+	 * Renders the suggestions in the listbox, with the group labels as headers and the matching text highlighted,
+	 * followed by a status row while loading, or replaced by it when nothing matches.
+	 *
+	 * @param {string[]} values - The values to render.
+	 * @param {string} query - The typed text.
+	 * @private
+	 * @returns {void}
+	 */
+	#renderListbox(values, query) {
+		const fragment = document.createDocumentFragment();
+		let group      = '';
+
+		values.forEach((value, index) => {
+			// Show the group label when it changes
+			if (this.#groups.get(value) && this.#groups.get(value) !== group) {
+				const header       = document.createElement('li');
+				header.textContent = this.#groups.get(value);
+				header.setAttribute('role', 'presentation');
+				header.classList.add('SSS_group');
+				fragment.append(header);
+			}
+			group = this.#groups.get(value);
+
+			const item            = document.createElement('li');
+			item.id               = `${this.options.idPrefix}_option${index}`;
+			item.dataset.sssValue = value;
+			item.setAttribute('role', 'option');
+			item.setAttribute('aria-selected', String(this.#isSelected(value)));
+			item.classList.add('SSS_option');
+			item.classList.toggle('SSS_selected', this.#isSelected(value));
+			if (this.#datalistOptions.get(value).disabled) item.setAttribute('aria-disabled', 'true');
+
+			// Label and description, with the matching text highlighted
+			const label = document.createElement('span');
+			label.classList.add('SSS_option_label');
+			label.append(this.#highlight(this.#refs.get(value), query));
+			item.append(label);
+
+			const description = this.#details.get(value).description;
+			if (description) {
+				const secondary = document.createElement('span');
+				secondary.classList.add('SSS_option_description');
+				secondary.append(this.#highlight(description, query));
+				item.append(secondary);
+			}
+			fragment.append(item);
+		});
+
+		// Show the status of the search
+		const loading = this.$input.classList.contains('SSS_loading');
+		if (loading || (!values.length && SSS.normalize(query))) {
+			const status       = document.createElement('li');
+			status.textContent = this.#a11yMessage(loading ? 'loading' : 'noResults');
+			status.setAttribute('role', 'presentation');
+			status.classList.add('SSS_status');
+			fragment.append(status);
+		}
+
+		this.$listbox.replaceChildren(fragment);
+		this.#setActive(values.includes(this.#active) ? this.#active : null);
+	}
+
+	/**
+	 * Returns the text with the parts matching the words of the query wrapped in <mark> elements, ignoring case and diacritics.
+	 *
+	 * @param {string} text - The text to highlight.
+	 * @param {string} query - The typed text.
+	 * @private
+	 * @returns {DocumentFragment}
+	 */
+	#highlight(text, query) {
+		const fragment = document.createDocumentFragment();
+
+		// Normalize the text character by character, keeping the position of each normalized character
+		let normalized  = '';
+		const positions = [];
+		for (let index = 0; index < text.length; index++) {
+			const char = /\s/.test(text[index]) ? ' ' : SSS.normalize(text[index]);
+			normalized += char;
+			positions.push(...Array(char.length).fill(index));
+		}
+
+		// Find the ranges of text matching each word of the query, merged when they overlap
+		const ranges = [];
+		SSS.normalize(query).split(' ').filter(word => word).forEach(word => {
+			const start = normalized.indexOf(word);
+			if (start !== -1) ranges.push([positions[start], positions[start + word.length - 1] + 1]);
+		});
+		ranges.sort((a, b) => a[0] - b[0]);
+
+		let position = 0;
+		ranges.forEach(([start, end]) => {
+			start = Math.max(start, position);
+			if (end <= start) return;
+			if (start > position) fragment.append(text.slice(position, start));
+			const mark       = document.createElement('mark');
+			mark.textContent = text.slice(start, end);
+			fragment.append(mark);
+			position = end;
+		});
+		if (position < text.length) fragment.append(text.slice(position));
+
+		return fragment;
+	}
+
+	/**
+	 * Opens the listbox, unless the input is locked, and dispatches an 'sss:open' event.
+	 *
+	 * @private
+	 * @returns {void}
+	 */
+	#openListbox() {
+		if (this.#isLocked() || !this.$listbox.hidden) return;
+
+		this.$listbox.hidden = false;
+		this.$input.setAttribute('aria-expanded', 'true');
+		this.#renderSuggestions();
+		this.#dispatch('open');
+	}
+
+	/**
+	 * Closes the listbox.
+	 *
+	 * @private
+	 * @returns {void}
+	 */
+	#closeListbox() {
+		if (!this.$listbox || this.$listbox.hidden) return;
+
+		this.$listbox.hidden = true;
+		this.$input.setAttribute('aria-expanded', 'false');
+		this.#setActive(null);
+	}
+
+	/**
+	 * Makes a suggestion of the listbox the active one, with the 'SSS_active' class, referenced by the 'aria-activedescendant' attribute of the input.
+	 * The 'aria-selected' attribute is left to reflect the selected values.
+	 *
+	 * @param {string|null} value - The value of the suggestion, or null for none.
+	 * @private
+	 * @returns {void}
+	 */
+	#setActive(value) {
+		this.$listbox.querySelectorAll('.SSS_active').forEach(item => item.classList.remove('SSS_active'));
+		this.#active = value;
+
+		const item = value === null ? null : [...this.$listbox.children].find(item => item.dataset.sssValue === value);
+		if (!item) {
+			this.#active = null;
+			this.$input.removeAttribute('aria-activedescendant');
+			return;
+		}
+		item.classList.add('SSS_active');
+		this.$input.setAttribute('aria-activedescendant', item.id);
+		if (item.scrollIntoView) item.scrollIntoView({block : 'nearest'});
+	}
+
+	/**
+	 * Moves the active suggestion of the listbox to the next or the previous enabled one, wrapping around.
+	 *
+	 * @param {number} step - 1 for the next suggestion, -1 for the previous one.
+	 * @private
+	 * @returns {void}
+	 */
+	#moveActive(step) {
+		const values = [...this.$listbox.querySelectorAll('[role="option"]:not([aria-disabled="true"])')].map(item => item.dataset.sssValue);
+		if (!values.length) return;
+
+		const index = values.indexOf(this.#active);
+		const next  = index === -1 ? (step > 0 ? 0 : values.length - 1) : (index + step + values.length) % values.length;
+		this.#setActive(values[next]);
+	}
+
+	/**
+	 * Selects a suggestion of the listbox, as when its label is typed. The listbox stays open in multiple mode.
+	 *
+	 * @param {string} value - The value of the suggestion.
+	 * @private
+	 * @returns {void}
+	 */
+	#pick(value) {
+		this.#cancel(this.#inputTimeout);
+		this.setValue(value);
+
+		if (this.options.multiple) {
+			this.$input.value = '';
+			this.#renderSuggestions();
+		} else {
+			this.#closeListbox();
+		}
+	}
+
+	/**
+	 * Handles the keys navigating the listbox: the arrows open it and move the active suggestion,
+	 * Enter and Tab select the active suggestion and Escape closes it.
+	 *
+	 * @param {KeyboardEvent} e - The keydown event of the input.
+	 * @private
+	 * @returns {boolean} - True if the key has been handled.
+	 */
+	#onListboxKeydown(e) {
+		const open = !this.$listbox.hidden;
+
+		switch (e.key) {
+			case 'ArrowDown':
+			case 'ArrowUp':
+				e.preventDefault();
+				if (open) {
+					this.#moveActive(e.key === 'ArrowDown' ? 1 : -1);
+				} else {
+					this.#openListbox();
+				}
+				return true;
+			case 'Enter':
+			case 'Tab':
+				if (!open || this.#active === null) return false;
+				if (e.key === 'Enter') e.preventDefault();
+				this.#pick(this.#active);
+				if (e.key === 'Tab') this.#closeListbox();
+				return true;
+			case 'Escape':
+				if (!open) return false;
+				e.preventDefault();
+				this.#closeListbox();
+				return true;
+		}
+		return false;
+	}
+
+	/**
+	 * Sets the label of a value, updating the datalist entry and the selection showing it.
+	 *
+	 * @param {string} value - The value to label.
+	 * @param {string} label - The new label.
+	 * @private
+	 * @returns {void}
+	 */
+	#setLabel(value, label) {
+		if (label === this.#refs.get(value)) return;
+
+		// Update the references and the datalist entry
+		this.#refs.set(value, label);
+		this.#normalized.delete(value);
+		this.#datalistOptions.get(value).dataset.original = label;
+		if (this.#clones.has(value) && typeof this.options.selectedStyle === 'function') {
+			this.#datalistOptions.get(value).text = this.options.selectedStyle(label) + '⁣';
+		} else {
+			this.#datalistOptions.get(value).text = label;
+		}
+
+		// Update the selected value, if any
+		if (Object.hasOwn(this.#values, value)) this.#values[value] = label;
+		if (this.#clones.has(value)) {
+			if (this.options.renderSelection) {
+				this.#clones.get(value).replaceChildren(this.#renderSelection(value, label));
+				this.#lockClone(this.#clones.get(value));
+			} else {
+				this.#clones.get(value).value = label;
+			}
+			this.#clones.get(value).setAttribute('aria-label', this.#a11yMessage('selected', {label}));
+		}
+		if (!this.options.multiple && this.$target.value === value) this.$input.value = label;
+	}
+
+	/**
+	 * Scores the options against the typed text using the matcher, and returns the matching ones sorted by score.
+	 * Options are matched by their label first, then by their keywords, then by the label of their group and their description with half the score.
+	 *
+	 * @param {string} query - The typed text.
+	 * @private
+	 * @returns {Array<{value: string, score: number}>} - The matching values, the best first.
+	 */
+	#match(query) {
+		const matcher = typeof this.options.matcher === 'function' ? this.options.matcher : SSS.matchers[this.options.matcher];
+		if (!matcher) throw new Error(`SSS: Unknown matcher "${this.options.matcher}"!`);
+
+		query = SSS.normalize(query);
+		if (!query) return [];
+
+		const matches = [];
+		this.#validValues.forEach((option, value) => {
+			if (!this.#isSelectable(option)) return;
+
+			// Normalize the labels once
+			let normalized = this.#normalized.get(value);
+			if (!normalized) {
+				const group   = this.#groups.get(value);
+				const details = this.#details.get(value);
+				normalized    = {
+					label       : SSS.normalize(this.#refs.get(value)),
+					group       : group ? SSS.normalize(group) : '',
+					keywords    : details.keywords.split(',').map(keyword => SSS.normalize(keyword)).filter(keyword => keyword),
+					description : SSS.normalize(details.description),
+				};
+				this.#normalized.set(value, normalized);
+			}
+
+			const score = matcher(query, normalized.label, option)
+				|| Math.max(0, ...normalized.keywords.map(keyword => matcher(query, keyword, option)))
+				|| (normalized.group ? matcher(query, normalized.group, option) / 2 : 0)
+				|| (normalized.description ? matcher(query, normalized.description, option) / 2 : 0);
+			matches.push({value, score});
+		});
+
+		return matches
+			.filter(m => m.score > 0)
+			.sort((a, b) => b.score - a.score);
+	}
 
-		// Set properties for the clone
-		clone.readOnly = true;
+	/**
+	 * Finds the value of the option whose label is the given text.
+	 *
+	 * @param {string} text - The label of the option.
+	 * @private
+	 * @returns {string|undefined} - The value of the option, or undefined if not found.
+	 */
+	#findValue(text) {
+		return this.#labels.get(text);
+	}
 
-		// Event listener for keydown to handle backspace/delete key press
-		clone.addEventListener('keydown', (e) => {
-			if (['Backspace', 'Delete'].includes(e.key)) {
-				clone.SSSDelete();
-			}
-		});
+	/**
+	 * Aborts the pending promiseData request, if any.
+	 *
+	 * @private
+	 * @returns {void}
+	 */
+	#cancelLoad() {
+		if (this.#abortController) this.#abortController.abort();
+		this.#abortController = null;
+		this.#setLoadingState(false);
+	}
 
-		// Insert the clone before the input element in the DOM
-		this.$input.insertAdjacentElement('beforebegin', clone);
+	/**
+	 * Aborts the pending promiseData request and drops the cached results.
+	 *
+	 * @private
+	 * @returns {void}
+	 */
+	#resetLoad() {
+		this.#cancelLoad();
+		this.#cache.clear();
+	}
 
-		// Reset the input value and remove 'required' attribute
-		this.$input.value    = '';
-		this.$input.required = false;
+	/**
+	 * Returns the context passed to promiseData, with the values of the parent select if dependsOn is set.
+	 *
+	 * @param {AbortSignal} signal - The signal of the request.
+	 * @private
+	 * @returns {PromiseDataContext}
+	 */
+	#context(signal) {
+		const context = {signal};
+		if (this.#getParent()) context.parent = this.#parentValues();
+		return context;
+	}
 
-		if (typeof this.options.selectedStyle === 'function') {
-			// Apply custom styling to the option text using the selectedStyle function.
-			this.#datalistOptions[value].text = this.options.selectedStyle(this.#refs[value]) + '⁣';
-		} else {
-			// Disable the option if selectedStyle is not a function.
-			this.#datalistOptions[value].disabled = true;
+	/**
+	 * Loads the options matching the query with promiseData, or from the cache.
+	 * The pending request is aborted, so that the responses of stale requests are dropped.
+	 *
+	 * @param {string} query - The typed text.
+	 * @private
+	 * @returns {Promise<Object>} - The loaded data, empty if the request failed or has been aborted.
+	 */
+	#load(query) {
+		// Abort the pending request, if any
+		this.#cancelLoad();
+
+		if (query.length < this.options.minQueryLength) return Promise.resolve({});
+
+		// Use the cached results, if not expired
+		const cached = this.#cache.get(query);
+		if (cached && Date.now() - cached.time < this.options.cacheTTL) {
+			this.#addData(cached.data);
+			this.#announceResults(cached.data);
+			return Promise.resolve(cached.data);
 		}
 
+		const controller      = new AbortController();
+		this.#abortController = controller;
+		this.#setLoadingState('loading');
+		this.#dispatch('search', {query});
+
+		return Promise.resolve()
+			.then(() => this.options.promiseData(query, this.#context(controller.signal)))
+			.then(data => {
+				// Drop the response if a newer request has started
+				if (controller.signal.aborted) return {};
+				this.#abortController = null;
+				this.#setLoadingState(false);
+
+				if (this.options.cacheTTL > 0) this.#cache.set(query, {time : Date.now(), data});
+				this.#addData(data);
+				this.#announceResults(data);
+				this.#dispatch('load', {query, data});
+				return data;
+			}, error => {
+				if (controller.signal.aborted) return {};
+				this.#abortController = null;
+				this.#setLoadingState('error');
+				this.#dispatch('load-error', {query, error});
+				return {};
+			});
+	}
 
-		if (this.options.showPicker) {
-			try {
-				this.$input.showPicker();
-			} catch (e) {
-			}
-		}
+	/**
+	 * Announces the number of results loaded by promiseData.
+	 *
+	 * @param {Object} data - The loaded data.
+	 * @private
+	 * @returns {void}
+	 */
+	#announceResults(data) {
+		const count = Object.keys(data).length;
+		this.#announce(count ? 'results' : 'noResults', {count});
+	}
 
-		// Update selected status for valid values
-		const cloneKeys = Object.keys(this.#clones);
-		Object.values(this.#validValues).forEach(o => o.selected = cloneKeys.includes(o.value));
+	/**
+	 * Sets the keywords and the description of an option from a loaded or created item, as `data-sss-*` attributes.
+	 *
+	 * @param {HTMLOptionElement} option - The option of the target element.
+	 * @param {{keywords?: (string|string[]), description?: string}} item - The item describing the option.
+	 * @private
+	 * @returns {void}
+	 */
+	#describeOption(option, item) {
+		if (item.keywords) option.dataset.sssKeywords = [].concat(item.keywords).join(', ');
+		if (item.description) option.dataset.sssDescription = item.description;
+	}
 
-		// Trigger 'change' event if specified
-		if (fireChange) this.$target.dispatchEvent(new Event('change'));
+	/**
+	 * Removes an option loaded by promiseData from the target element and from the datalist.
+	 *
+	 * @param {string} value - The value of the option.
+	 * @private
+	 * @returns {void}
+	 */
+	#unload(value) {
+		if (this.#validValues.get(value)) {
+			this.#validValues.get(value).remove();
+			this.#unregisterOption(value);
+		}
+		this.#loaded.delete(value);
 	}
 
 	/**
-	 * Sets the value of the SSS instance, updating the associated input and triggering a 'change' event if specified.
-	 * If the SSS instance is configured for multiple selections, it sets multiple values.
+	 * Adds the options loaded by promiseData to the target element and to the datalist.
+	 * If replaceResults is enabled, the options loaded previously are removed, except the selected ones.
 	 *
-	 * @param {(string | string[])} value - The value(s) to set.
-	 * @param {boolean} [fireChange=true] - If true, triggers a 'change' event on the target element.
+	 * @param {Object.<string, (string|PromiseDataItem)>} data - The loaded data.
+	 * @private
 	 * @returns {void}
 	 */
-	setValue(value, fireChange = true) {
-		const values = (this.options.multiple ? (Array.isArray(value) ? value : [value]) : [value]);
-		values.forEach(v => {
-			this.$input.value = this.#refs[v] || '';
-			if (this.options.multiple) {
-				this.#addMultipleValue(v, false);
-			} else {
-				this.#values[v]    = this.#refs[v];
-				this.$target.value = v;
+	#addData(data) {
+		// Index the items returned in an array by their value
+		if (Array.isArray(data)) data = Object.fromEntries(data.map(item => [item.value, item]));
+
+		// Values whose option is added, removed or completed
+		const touched = [];
+
+		if (this.options.replaceResults) {
+			[...this.#loaded]
+				.filter(key => !(key in data) && !this.#isSelected(key))
+				.forEach(key => {
+					this.#unload(key);
+					touched.push(key);
+				});
+		}
+
+		Object.keys(data).forEach(key => {
+			let value = data[key];
+			let item  = {};
+
+			// The item can be an object specifying the group, the keywords and the description of the option
+			if (value && typeof value === 'object') {
+				item  = value;
+				value = value.text;
+			}
+			const group = item.group || '';
+
+			if (!this.#validValues.has(key)) {
+				// Create and append new option elements, inside its optgroup if any
+				let option = new Option(value, key);
+				this.#describeOption(option, item);
+				this.#getOptGroup(group).append(option);
+				this.#registerOption(option);
+				this.#loaded.add(key);
+				touched.push(key);
+			} else if (!this.#validValues.get(key).textContent) {
+				// Complete the option whose label was unknown
+				const option       = this.#validValues.get(key);
+				option.textContent = value;
+				this.#describeOption(option, item);
+				if (group) this.#getOptGroup(group).append(option);
+				this.#refreshOption(option);
+				touched.push(key);
 			}
 		});
-		if (fireChange) this.$target.dispatchEvent(new Event('change'));
+		this.#disambiguate(touched);
+		this.#renderSuggestions();
 	}
 
 	/**
-	 * Clears the value(s) associated with the SSS instance, either for a single or multiple selection.
-	 * If the SSS instance is configured for multiple selections, it clears the specified values.
-	 * If the SSS instance is configured for a single selection, it clears the value.
+	 * Selects the option matching the typed text. In creatable mode, a new option is created if none fully matches.
 	 *
-	 * @param {(string | string[] | false)} value - The value(s) to clear. If false, clears all values.
-	 * @returns {void}
+	 * @param {boolean} [partial=true] - If true, the best partial match is selected when no option fully matches.
+	 * @private
+	 * @returns {false|'selected'|'created'} - What has been done, false if nothing.
 	 */
-	clearValue(value = false) {
-		if (this.options.multiple) {
-			if (value === false) value = Object.keys(this.#values);
-			const valuesToClear = Array.isArray(value) ? value : [value];
-			valuesToClear.forEach(v => {
-				if (this.#clones[v]) this.#clones[v]["SSSDelete"]();
-			});
-		} else {
-			this.$input.value  = '';
-			this.$target.value = '';
+	#commitInput(partial = true) {
+		const [best] = this.#match(this.$input.value);
+		if (best && best.score >= 1) {
+			this.setValue(best.value);
+			return 'selected';
+		}
+		if (this.options.creatable) return this.#create(this.$input.value) ? 'created' : false;
+		if (best && partial) {
+			this.setValue(best.value);
+			return 'selected';
 		}
+		return false;
 	}
 
 	/**
-	 * Destroys the SSS instance, restoring the target element to its original state.
-	 * If the SSS instance is not attached to the target, the function exits early.
-	 * @returns {void}
+	 * Splits a delimited list with the separators, in multiple mode only.
+	 *
+	 * @param {string} text - The delimited list.
+	 * @private
+	 * @returns {string[]} - The trimmed non-empty tokens.
 	 */
-	destroy() {
-		// Check if the SSS property is not present on the target
-		if (!this.$target["SSS"]) return;
+	#split(text) {
+		const separators = this.options.separators;
+		if (!this.options.multiple || !separators || !separators.length) return [text];
 
-		// Restore the visibility of the target element
-		this.$target.hidden = false;
+		const pattern = new RegExp(separators.map(separator => separator.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|'));
+		return text.split(pattern).map(token => token.trim()).filter(token => token);
+	}
 
-		// Remove the reference to this instance from the target object
-		delete this.$target["SSS"];
+	/**
+	 * Adds the values of a delimited list: each token is matched against the options, loaded with promiseData if not found,
+	 * or created in creatable mode, then its value is selected. A single 'change' event is triggered.
+	 * The unmatched tokens, including the ones whose selection is blocked or vetoed, are reported with a cancelable 'sss:unmatched' event,
+	 * and left in the input unless the event is canceled.
+	 *
+	 * @param {string} text - The delimited list.
+	 * @private
+	 * @returns {Promise<string[]>} - The unmatched tokens.
+	 */
+	#addTokens(text) {
+		const tokens    = this.#split(text);
+		const unmatched = [];
+		let added       = false;
+
+		this.$input.value = '';
+
+		// Select the option fully matching the token, or create it unless the maximum is reached:
+		// returns true if selected, false if the selection is blocked or vetoed, null if no option matches
+		const select = token => {
+			const count  = this.#clones.size;
+			const [best] = this.#match(token);
+			if (best && best.score >= 1) {
+				if (this.#isSelected(best.value)) return true;
+				this.setValue(best.value, false);
+			} else if (!this.options.creatable) {
+				return null;
+			} else if (this.#maxReached) {
+				return false;
+			} else if (!this.#create(token, false)) {
+				return null;
+			}
+			if (this.#clones.size === count) return false;
+			added = true;
+			return true;
+		};
 
-		// Remove associated DOM elements
-		this.$dataList.remove();
-		this.$input.remove();
+		// Process the tokens in order, waiting for the options loaded for the previous ones
+		return tokens.reduce((chain, token) => chain.then(() => {
+			const selected = select(token);
+			if (selected) return;
+			if (selected === false || !this.options.promiseData) {
+				unmatched.push(token);
+				return;
+			}
+			return this.#load(token).then(() => {
+				if (!select(token)) unmatched.push(token);
+			});
+		}), Promise.resolve()).then(() => {
+			if (added) this.$target.dispatchEvent(new Event('change'));
 
-		// Restore attributes on the target element
-		this.$target.required = this.$target.dataset.sssRequired === '1';
-		this.$target.multiple = this.$target.dataset.sssMultiple === '1';
-		delete this.$target.dataset.sssRequired;
-		delete this.$target.dataset.sssMultiple;
+			// Leave the unmatched tokens in the input for correction, unless the listeners handle them
+			if (unmatched.length && this.#dispatch('unmatched', {tokens : unmatched}, true)) {
+				const separator   = this.options.separators[0];
+				this.$input.value = unmatched.join(/\s/.test(separator) ? separator : `${separator} `);
+			}
+			return unmatched;
+		});
+	}
 
-		// Remove cloned elements if the 'multiple' option is enabled
-		if (this.options.multiple) Object.values(this.#clones).forEach(el => el.remove());
+	/**
+	 * Creates a new option from the typed text and selects it, dispatching a cancelable 'sss:create' event.
+	 * If the creatable option is a function, it validates and transforms the text into the option to create.
+	 *
+	 * @param {string} text - The typed text.
+	 * @param {boolean} [fireChange=true] - If true, triggers a 'change' event on the target element.
+	 * @private
+	 * @returns {boolean} - True if the option has been created or already exists, false if rejected.
+	 */
+	#create(text, fireChange = true) {
+		text = text.trim();
+		if (!text) return false;
+
+		let item = {value : text, text};
+		if (typeof this.options.creatable === 'function') {
+			item = this.options.creatable(text);
+			if (!item) return false;
+			if (typeof item === 'string') item = {value : item, text : item};
+		}
 
-		// Restore the 'for' attribute of the label, if present
-		if (this.$label) {
-			this.$label.setAttribute('for', this.$label.dataset.sssOriginal)
-			delete this.$label.dataset.sssOriginal;
+		// Select the option if it already exists
+		if (this.#validValues.get(item.value)) {
+			this.setValue(item.value, fireChange);
+			return true;
 		}
+
+		// Let the listeners veto the creation, e.g. to persist it
+		if (!this.#dispatch('create', {value : item.value, label : item.text, text}, true)) return false;
+
+		// Create and append the new option, inside its optgroup if any
+		const option = new Option(item.text, item.value);
+		this.#describeOption(option, item);
+		this.#getOptGroup(item.group || '').append(option);
+		this.#registerOption(option);
+		this.#disambiguate([item.value]);
+		this.#renderSuggestions();
+
+		this.setValue(item.value, fireChange);
+		return true;
 	}
 
 	/**
-	 * Resets the SSS instance, clearing the current value(s) and updating the options based on the target's options.
-	 * If the target is a select element with options, it populates the internal data list with valid values.
+	 * Checks whether a value is selected.
 	 *
-	 * @returns {void}
+	 * @param {string} value - The value to check.
+	 * @private
+	 * @returns {boolean}
 	 */
-	resetValue() {
-		// Clear current values
-		this.clearValue();
-
-		// Array to store selected options
-		let selected = [];
-
-		// Iterate over each option in the target element
-		this.$target.querySelectorAll('option').forEach(o => {
-			let text  = o.textContent;
-			let value = o.value;
-
-			// Check if the option is selected and has a value
-			if (o.selected && o.value) selected.push(text);
-
-			// Process each option
-			if (value) {
-				// Create a new Option element and add it to the internal data list
-				let newOption = new Option(text);
-				this.$dataList.append(newOption);
-				newOption.dataset.original   = text;
-				this.#datalistOptions[value] = newOption;
-				this.#validValues[text]      = o;
-				this.#refs[value]            = text;
-			} else {
-				// Set the input placeholder if the option has no value
-				this.$input.placeholder = text;
-			}
-		});
+	#isSelected(value) {
+		return this.options.multiple ? this.#clones.has(value) : this.$target.value === value;
+	}
 
-		// Check if a custom placeholder is specified in the options
-		if (this.options.placeholder) {
-			this.$input.placeholder = this.options.placeholder;
+	/**
+	 * Reflects the state of the promiseData request on the input: the 'SSS_loading' or 'SSS_error' class and the 'aria-busy' attribute.
+	 *
+	 * @param {false|'loading'|'error'} state - The state of the request, false when idle.
+	 * @private
+	 * @returns {void}
+	 */
+	#setLoadingState(state) {
+		this.$input.classList.toggle('SSS_loading', state === 'loading');
+		this.$input.classList.toggle('SSS_error', state === 'error');
+		if (state === 'loading') {
+			this.$input.setAttribute('aria-busy', 'true');
+		} else {
+			this.$input.removeAttribute('aria-busy');
 		}
 
-		// If there are selected options, set the values accordingly
-		if (selected.length) {
-			if (this.options.multiple) {
-				// If multiple selections are allowed, set each selected value
-				[...this.$target.selectedOptions].forEach(o => {
-					this.setValue(o.value, false);
-				});
-			} else {
-				// If single selection, set the value of the first selected option
-				this.$input.value = selected[0];
-			}
+		// Show the status of the search in the listbox
+		if (this.$listbox) this.#renderSuggestions();
+	}
+
+	/**
+	 * Returns the optgroup of the target element with the given label, creating it if needed.
+	 * If the label is empty, the target element itself is returned.
+	 *
+	 * @param {string} label - The label of the optgroup.
+	 * @private
+	 * @returns {HTMLSelectElement|HTMLOptGroupElement}
+	 */
+	#getOptGroup(label) {
+		if (!label) return this.$target;
+		let optGroup = [...this.$target.querySelectorAll('optgroup')].find(g => g.label === label);
+		if (!optGroup) {
+			optGroup       = document.createElement('optgroup');
+			optGroup.label = label;
+			this.$target.append(optGroup);
 		}
+		return optGroup;
 	}
 
 	/**
@@ -421,16 +3023,28 @@ export class SSS {
 	#init() {
 		// Copy attributes from the target element to the input element
 		this.$target.getAttributeNames().forEach(attr => {
-			if (attr.match(/^(name|id)$/i)) return;
+			if (attr.match(/^(name|id|data-sss(-.*)?)$/i)) return;
 			this.$input.setAttribute(attr, this.$target.getAttribute(attr));
 		});
 		this.$input.setAttribute('autocomplete', 'off');
+
+		// Store the initial selection, restored by resetValue()
+		this.#initialValues = [...this.$target.selectedOptions].filter(o => o.value).map(o => o.value);
+
+		// Read the recently selected and pinned values, suggested first
+		this.#loadFavorites();
+
+		// Check the bulk actions before altering the DOM
+		const bulkActions = Array.isArray(this.options.bulkActions) ? this.options.bulkActions : ['selectAll', 'invert', 'clearAll'];
+		const unknown     = this.options.bulkActions && bulkActions.find(action => !['selectAll', 'invert', 'clearAll'].includes(action));
+		if (unknown) throw new Error(`SSS: Unknown bulk action "${unknown}"!`);
+
 		// Hide the target element and store its original required and multiple attributes
-		this.$target.hidden              = true;
-		this.$target.dataset.sssRequired = this.$target.required ? '1' : '0';
-		this.$target.dataset.sssMultiple = this.$target.multiple ? '1' : '0';
-		this.$target.required            = this.options.required;
-		this.$target.multiple            = this.options.multiple;
+		this.$target.hidden                      = true;
+		this.$target.dataset.sssOriginalRequired = this.$target.required ? '1' : '0';
+		this.$target.dataset.sssOriginalMultiple = this.$target.multiple ? '1' : '0';
+		this.$target.required                    = this.options.required;
+		this.$target.multiple                    = this.options.multiple;
 
 		// Generate a unique idPrefix based on the existing ids
 		let counter = 1;
@@ -453,125 +3067,402 @@ export class SSS {
 		this.$input.id       = this.options.idPrefix + '_input';
 		this.$input.required = this.options.required;
 		this.$input.multiple = this.options.multiple;
-		this.$input.setAttribute('list', this.options.idPrefix + '_list');
 		this.$input.classList.add('SSS_input');
 
+		// Link the input to the datalist, or to the listbox following the combobox pattern
+		if (this.options.renderer === 'listbox') {
+			this.$listbox        = document.createElement('ul');
+			this.$listbox.id     = this.options.idPrefix + '_listbox';
+			this.$listbox.hidden = true;
+			this.$listbox.setAttribute('role', 'listbox');
+			if (this.options.multiple) this.$listbox.setAttribute('aria-multiselectable', 'true');
+			this.$listbox.classList.add('SSS_listbox');
+			this.$input.setAttribute('role', 'combobox');
+			this.$input.setAttribute('aria-autocomplete', 'list');
+			this.$input.setAttribute('aria-expanded', 'false');
+			this.$input.setAttribute('aria-controls', this.$listbox.id);
+		} else {
+			this.$input.setAttribute('list', this.options.idPrefix + '_list');
+		}
+
+		// Set the live region and the instructions for screen readers, visually hidden without additional CSS
+		this.$liveRegion.id = this.options.idPrefix + '_live';
+		this.$liveRegion.setAttribute('role', 'status');
+		this.$liveRegion.setAttribute('aria-live', 'polite');
+		this.$liveRegion.style.cssText = 'position:absolute;width:1px;height:1px;overflow:hidden;clip:rect(0 0 0 0);white-space:nowrap;';
+		this.$instructions.id          = this.options.idPrefix + '_instructions';
+		this.$instructions.hidden      = true;
+		this.$instructions.textContent = this.#a11yMessage('instructions');
+
 		// Insert input element and append datalist element to the body
 		this.$target.insertAdjacentElement(this.options.insertPosition, this.$input);
-		document.body.append(this.$dataList);
 
-		// Initialize values based on the existing options in the target element
+		// Add the bulk action buttons after the input element, keeping the typed text when clicked
+		if (this.options.bulkActions) {
+			const methods = {selectAll : () => this.selectAll(), invert : () => this.invertSelection(), clearAll : () => this.clearAll()};
+
+			this.$actions = document.createElement('div');
+			this.$actions.classList.add('SSS_actions');
+			this.$actions.addEventListener('mousedown', e => e.preventDefault());
+			bulkActions.forEach(action => {
+				const button             = document.createElement('button');
+				button.type              = 'button';
+				button.textContent       = this.#a11yMessage(action);
+				button.dataset.sssAction = action;
+				button.classList.add('SSS_action');
+				button.addEventListener('click', () => {
+					methods[action]();
+					this.$input.focus();
+				});
+				this.$actions.append(button);
+			});
+			this.$input.insertAdjacentElement('afterend', this.$actions);
+		}
+
+		// Insert the listbox after the input element, keeping the focus in the input when clicked
+		if (this.$listbox) {
+			this.$input.insertAdjacentElement('afterend', this.$listbox);
+			this.$listbox.addEventListener('mousedown', e => e.preventDefault());
+			this.$listbox.addEventListener('click', e => {
+				const item = e.target.closest('[role="option"]');
+				if (item && item.getAttribute('aria-disabled') !== 'true') this.#pick(item.dataset.sssValue);
+			});
+			this.$input.addEventListener('click', () => this.#openListbox(), {signal : this.#listeners.signal});
+		}
+
+		// Group the selected values before the input element, in a labeled group for the assistive technologies,
+		// laid out as a container if required, otherwise as if they were inserted one by one before the input
+		if (this.options.selectionContainer) {
+			this.$selection = document.createElement('div');
+			this.$selection.classList.add('SSS_selection');
+		} else {
+			this.$selection               = document.createElement('span');
+			this.$selection.style.display = 'contents';
+		}
+		this.$selection.setAttribute('role', 'group');
+		this.$selection.setAttribute('aria-label', this.#a11yMessage('selection'));
+		this.$input.insertAdjacentElement('beforebegin', this.$selection);
+
+		// Add the undo button after the input element, shown after a removal
+		if (this.options.undo) {
+			this.$undo             = document.createElement('button');
+			this.$undo.type        = 'button';
+			this.$undo.hidden      = true;
+			this.$undo.textContent = this.#a11yMessage('undo');
+			this.$undo.classList.add('SSS_undo');
+			this.$undo.addEventListener('click', () => {
+				this.undo();
+				this.$input.focus();
+			});
+			this.$input.insertAdjacentElement('afterend', this.$undo);
+		}
+		document.body.append(this.$dataList, this.$liveRegion, this.$instructions);
+
+		// Initialize values based on the existing options in the target element, the first entry of the history
 		this.resetValue();
+		this.#history      = [];
+		this.#historyIndex = -1;
+		this.#record();
+
+		this.#updateValidity();
+
+		// Keep in sync with the changes made to the target element
+		this.#observer.observe(this.$target, {
+			childList       : true,
+			subtree         : true,
+			characterData   : true,
+			attributes      : true,
+			attributeFilter : ['disabled', 'readonly', 'hidden', 'required', 'multiple', 'label', 'value', 'selected', 'data-sss-keywords', 'data-sss-description', 'aria-describedby', 'aria-invalid'],
+		});
+		this.$target.addEventListener('change', this.#onTargetChange);
 
-		// Event listeners for input handling
-		let start = false;
+		// Restore the initial selection when the form is reset
+		if (this.$target.form) this.$target.form.addEventListener('reset', this.#onFormReset);
+
+		// Clear the selection when the parent select changes
+		this.#watchParent();
+
+		// Event listeners for input handling, removed on destroy
+		const listener = {signal : this.#listeners.signal};
 		this.$input.addEventListener('input', () => {
 
 			// Clear any existing timeout to debounce input
-			if (start) clearTimeout(start)
+			this.#cancel(this.#inputTimeout);
 
 			// Get the current input value
 			let inputValue = this.$input.value;
 
-			// Controlla se il valore è uno di quelli generati
-
-			let sel = Object.values(this.#datalistOptions).filter(t => t.text === inputValue);
-			if (sel.length === 1) {
-				inputValue = sel[0].dataset.original
+			// Check if the value is the text generated by selectedStyle for a selected value
+			if (typeof this.options.selectedStyle === 'function') {
+				const selected = [...this.#clones.keys()].find(v => this.#datalistOptions.get(v).text === inputValue);
+				if (selected) inputValue = this.#refs.get(selected);
 			}
 
+			// Render the suggestions best matching the typed text, in the listbox if any
+			if (this.$listbox) this.#openListbox();
+			if (this.options.maxSuggestions || this.$listbox) this.#renderSuggestions(inputValue);
 
 			if (this.options.promiseData) {
 				// Handle logic when promiseData is present
-				start = setTimeout(() => {
-					if (this.#validValues[inputValue]) {
-						// If the value is valid, set it
-						this.setValue(this.#validValues[inputValue].value);
+				this.#inputTimeout = this.#delay(() => {
+					const [best] = this.#match(inputValue);
+					if (best && best.score >= 1) {
+						// If the value fully matches an option, set it
+						this.setValue(best.value);
 					} else {
 						// Fetch data from promiseData
-						this.options.promiseData(inputValue).then((data) => {
-							Object.keys(data).forEach(key => {
-								let value = data[key];
-								if (typeof this.#validValues[value] === 'undefined') {
-									// Create and append new option elements
-									let option               = new Option(value, key);
-									this.#validValues[value] = option;
-									this.$target.append(option);
-									this.#refs[key]                 = value;
-									let dataListOption              = new Option(value);
-									dataListOption.dataset.original = value;
-									this.#datalistOptions[key]      = dataListOption;
-									this.$dataList.append(dataListOption);
-								}
-							});
-						});
+						this.#load(inputValue);
 					}
 				}, this.options.inputIntervalTimeout);
 
 			} else {
 				// Handle logic when promiseData is not present
-				let regex = new RegExp('^' + inputValue.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') + '$', 'i')
-				let match = Object.keys(this.#validValues).find(entry => entry.match(regex));
-				if (match) {
-					// If there is a match, set the value
-					start = setTimeout(() => {
-						this.setValue(this.#validValues[match].value);
+				const [best] = this.#match(inputValue);
+				if (best && best.score >= 1) {
+					// If the value fully matches an option, set it
+					this.#inputTimeout = this.#delay(() => {
+						this.setValue(best.value);
 					}, this.options.inputIntervalTimeout);
 				}
 			}
-		});
+		}, listener);
 
 		// Handle blur event
 		this.$input.addEventListener('blur', () => {
 			// Get the current input value
 			let inputValue = this.$input.value;
 
-			// Check if the input value is present and not in the validValues
-			if (inputValue && !Object.keys(this.#validValues).includes(inputValue)) {
-				// If not in validValues, clear the input value
-				this.setValue('');
+			// In multiple mode, a delimited list is split into values
+			if (this.#split(inputValue).length > 1) {
+				this.#closeListbox();
+				this.#addTokens(inputValue);
+				return;
 			}
-		});
 
-		// Handle focus event
-		if (this.options.showPickerOnFocus) {
-			this.$input.addEventListener('focus', () => {
-				// Show the picker
-				try {
-					this.$input.showPicker();
-				} catch (e) {
-				}
-			});
-		}
+			// Check if the input value is present and not the label of a selectable option, nor of the selected one
+			const value = this.#findValue(inputValue);
+			const known = typeof value !== 'undefined' && (this.#isSelectable(this.#validValues.get(value)) || this.#isSelected(value));
+			if (inputValue && !known) {
+				// If not a label, set the option fully matching the text or create it, otherwise clear the input value
+				if (!this.#commitInput(false)) this.setValue('');
+			}
+			this.#closeListbox();
+		}, listener);
 
-		// Handle keydown events (Backspace, Delete, Tab, Enter)
+		// Handle focus event
+		this.$input.addEventListener('focus', () => {
+			// Show the picker, if required
+			if (this.options.showPickerOnFocus) this.#showPicker();
+		}, listener);
+
+		// Handle paste event, splitting the pasted delimited list into values
+		this.$input.addEventListener('paste', (e) => {
+			const pasted = e.clipboardData ? e.clipboardData.getData('text') : '';
+			if (this.$input.readOnly || this.#split(pasted).length < 2) return;
+
+			// Insert the pasted text in place of the selected text
+			const {value, selectionStart, selectionEnd} = this.$input;
+			e.preventDefault();
+			this.#addTokens(value.slice(0, selectionStart ?? value.length) + pasted + value.slice(selectionEnd ?? value.length));
+		}, listener);
+
+		// Handle keydown events (arrows and Escape in the listbox, Backspace, Delete, Tab, Enter, separators, comma, ArrowLeft, Home)
 		this.$input.addEventListener('keydown', (e) => {
+			// Navigate the suggestions of the listbox
+			if (this.$listbox && this.#onListboxKeydown(e)) return;
+
+			// In multiple mode, the empty input gives access to the clones
+			const clones = this.options.multiple && !this.$input.value ? this.#getClones() : [];
+
+			// In multiple mode, typing a separator splits the typed text into values
+			if (this.options.multiple && this.options.separators && this.options.separators.includes(e.key)) {
+				e.preventDefault();
+				if (this.$input.value.trim()) this.#addTokens(this.$input.value);
+				return;
+			}
 
 			switch (e.key) {
 				case 'Backspace':
 				case 'Delete':
-					// Clear the input value on Backspace or Delete key press
-					this.setValue('');
+					// Nothing can be removed from the read-only input
+					if (this.#isLocked()) break;
+
+					// Remove the previous clone on Backspace key press in the empty input,
+					// otherwise clear the input value on Backspace or Delete key press
+					if (e.key === 'Backspace' && clones.length) {
+						clones[clones.length - 1].SSSDelete();
+					} else {
+						this.setValue('');
+					}
+					break;
+				case 'ArrowLeft':
+				case 'Home':
+					// Move the focus to the last clone from the empty input
+					if (clones.length) {
+						e.preventDefault();
+						clones[clones.length - 1].focus();
+					}
+					break;
+				case ',':
+					// In creatable multiple mode, the comma separates the tags
+					if (!this.options.creatable || !this.options.multiple) break;
+					e.preventDefault();
+					this.#commitInput();
 					break;
 				case 'Tab':
 				case 'Enter':
-					// Handle Tab or Enter key press
-					const inputValue  = this.$input.value;
-					const regex       = new RegExp('' + inputValue.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i')
-					const matchingKey = Object.keys(this.#validValues).find(key => key.match(regex));
-					// If there is a match, set the corresponding value
-					if (matchingKey) this.setValue(this.#validValues[matchingKey].value);
+					// Handle Tab or Enter key press, without submitting the form when an option is created
+					const created = this.#commitInput() === 'created';
+					if (created && e.key === 'Enter') e.preventDefault();
 					break;
 			}
-		});
+		}, listener);
+	}
+
+	/**
+	 * Returns the select element set as dependsOn, if any.
+	 *
+	 * @private
+	 * @returns {HTMLSelectElement|null}
+	 */
+	#getParent() {
+		const parent = this.options.dependsOn;
+		if (!parent) return null;
+		if (parent instanceof SSS) return parent.$target;
+		if (typeof parent === 'string') return document.querySelector(parent);
+		return parent;
+	}
+
+	/**
+	 * Returns the values selected in the parent select: the ones of its SSS instance, if enhanced.
+	 *
+	 * @private
+	 * @returns {Object.<string, string>}
+	 */
+	#parentValues() {
+		const parent   = this.#getParent();
+		const instance = parent && SSS.getInstance(parent);
+		if (instance) return instance.getValues();
+		if (!parent) return {};
+		return Object.fromEntries([...parent.selectedOptions].filter(o => o.value).map(o => [o.value, o.textContent]));
+	}
+
+	/**
+	 * Whether the select depends on a parent select with no value.
+	 *
+	 * @private
+	 * @returns {boolean}
+	 */
+	#awaitsParent() {
+		return !!this.#getParent() && !Object.keys(this.#parentValues()).length;
+	}
+
+	/**
+	 * Listens to the changes of the parent select set as dependsOn, replacing the previous listener.
+	 * The selections and removals made without 'change' event, e.g. by clearValue() in single mode, are checked once applied.
+	 *
+	 * @private
+	 * @returns {void}
+	 */
+	#watchParent() {
+		if (this.#dependency) this.#dependency.abort();
+		this.#dependency = null;
+
+		const parent    = this.#getParent();
+		this.#parentKey = JSON.stringify(Object.keys(this.#parentValues()));
+		if (parent) {
+			this.#dependency = new AbortController();
+			const listener   = {signal : this.#dependency.signal};
+			parent.addEventListener('change', () => this.#onParentChange(), listener);
+			['sss:add', 'sss:remove'].forEach(name => {
+				parent.addEventListener(name, () => Promise.resolve().then(() => this.#onParentChange()), listener);
+			});
+		}
+		this.#syncAttributes();
+	}
+
+	/**
+	 * Clears the selection and the options loaded for the previous value of the parent select, if it has changed,
+	 * triggering a 'change' event if values were selected, so that the selects depending on this one are cleared too.
+	 *
+	 * @private
+	 * @returns {void}
+	 */
+	#onParentChange() {
+		// Ignore the 'change' events not changing the values of the parent select
+		const parentKey = JSON.stringify(Object.keys(this.#parentValues()));
+		if (parentKey === this.#parentKey) return;
+		this.#parentKey = parentKey;
+
+		const cleared = Object.keys(this.#values).length > 0;
+
+		// Clear the selection immediately, without vetoable events
+		[...this.#clones.keys()].forEach(v => this.#removeMultipleValue(v));
+		this.$input.value = '';
+		this.#values      = {};
+		this.#deselectAll();
+
+		// Drop the results loaded for the previous parent value
+		this.#resetLoad();
+		const unloaded = [...this.#loaded];
+		unloaded.forEach(value => this.#unload(value));
+		this.#disambiguate(unloaded);
+		this.#renderSuggestions();
+
+		// Lock the input while the parent select is empty
+		this.#syncAttributes();
+
+		if (cleared) {
+			this.#record();
+			this.#announce('cleared');
+			this.$target.dispatchEvent(new Event('change'));
+		}
+	}
+
+	/**
+	 * Enables the SSS instance and its target element.
+	 *
+	 * @returns {void}
+	 */
+	enable() {
+		this.$target.disabled = false;
+		this.#syncAttributes();
+	}
+
+	/**
+	 * Disables the SSS instance and its target element: the values can't be changed by the user and are not submitted.
+	 *
+	 * @returns {void}
+	 */
+	disable() {
+		this.$target.disabled = true;
+		this.#syncAttributes();
+	}
+
+	/**
+	 * Makes the SSS instance read-only, setting the 'readonly' attribute of its target element:
+	 * the values can't be changed by the user but are still submitted.
+	 *
+	 * @param {boolean} [readOnly=true] - If false, the SSS instance is made editable again.
+	 * @returns {void}
+	 */
+	setReadOnly(readOnly = true) {
+		this.$target.toggleAttribute('readonly', readOnly);
+		this.#syncAttributes();
 	}
 
 	/**
 	 * Retrieves the values associated with the SSS instance.
+	 * If detailed is true, each value is mapped to an object containing its text and the label of its group.
 	 *
-	 * @returns {Object<string, string>} - An object containing the values.
+	 * @param {boolean} [detailed=false] - If true, returns the text and the group of each value.
+	 * @returns {Object<string, string>|Object<string, {text: string, group: string}>} - An object containing the values.
 	 */
-	getValues() {
-		return this.#values;
+	getValues(detailed = false) {
+		if (!detailed) return this.#values;
+		return Object.fromEntries(Object.keys(this.#values).map(value => [value, {
+			text  : this.#values[value],
+			group : this.#groups.get(value) || '',
+		}]));
 	}
-}
\ No newline at end of file
+}